@@ -1,15 +1,20 @@
 // Variables for scene, camera, renderer, controls, and model
-let scene, camera, renderer, controls, character, lobbyGroup, cityGroup, clock, mixer, walkAction, idleAction;
-let isWalkingActive = false;
+let scene, camera, renderer, controls, character, lobbyGroup, cityGroup, clock, mixer;
 let loadingManager, loadingScreen;
 let playerReady = true; // Track if player is ready (default to ready)
 
 // Model path - only load standing_idle.glb as the base model
-// CRITICAL: Only these two files are allowed to be loaded
+// CRITICAL: Only these files are allowed to be loaded: the base model, the walk clip and any
+// optional animation-only clips below (their scene data is destroyed, like walk.glb's)
 const MODEL_PATH = 'standing_idle.glb';
 const WALK_ANIM_PATH = 'walk.glb';
+// Optional locomotion clips, keyed by LOCOMOTION_CLIPS name. None ship with the game; until
+// one is added here its state falls back to idle/walk (see LOCOMOTION_CLIPS), e.g.
+//   run: 'run.glb', walkBack: 'walk_back.glb', strafeLeft: 'strafe_left.glb',
+//   strafeRight: 'strafe_right.glb', turnLeft: 'turn_left.glb', turnRight: 'turn_right.glb'
+const LOCOMOTION_CLIP_FILES = {};
 
-const ALLOWED_GLB_FILES = [MODEL_PATH, WALK_ANIM_PATH];
+const ALLOWED_GLB_FILES = [MODEL_PATH, WALK_ANIM_PATH, ...Object.values(LOCOMOTION_CLIP_FILES)];
 console.log('✅ ONLY APPROVED FILES:', ALLOWED_GLB_FILES);
 
 // Helper to verify a GLB URL/path is approved
@@ -64,24 +69,623 @@ const DEFAULT_CAMERA_POS = {
 };
 
 // Performance and streaming configuration
-const ENABLE_WINDOWS = false; // Disable heavy window meshes for performance
+const ENABLE_WINDOWS = true; // Default for the lit-windows setting
 const CHUNK_SIZE = 32; // Larger chunks reduce total objects and draw calls
-const CHUNK_RADIUS = 1; // Load a 3x3 grid around the player for smoother streaming
+const CHUNK_RADIUS = 2; // Default view distance: a 5x5 grid around the player (settings.chunkRadius)
+// Full-detail chunks are downgraded only one ring past settings.chunkRadius (Chebyshev
+// distance). The gap is hysteresis so pacing back and forth over a boundary does not thrash.
+// Level of detail rings: full chunks (roads, colliders) inside CHUNK_RADIUS, merged
+// silhouette chunks out to FAR_CHUNK_RADIUS, and a skyline impostor beyond that
+const FAR_CHUNK_RADIUS = 5;
+const FAR_UNLOAD_RADIUS = FAR_CHUNK_RADIUS + 1;
+// Chunks are frustum culled as a whole against a box from the ground up to their tallest
+// building, or at least this high (street lamps)
+const CHUNK_MIN_CULL_HEIGHT = 7;
+const SKYLINE_RADIUS = 300;
+const SKYLINE_HEIGHT = 70;
+// Distance fog hides the far ring's edge against the background
+const FOG_COLOR = 0x151515;
+const FOG_NEAR = 90;
+const FOG_FAR = (FAR_CHUNK_RADIUS + 1) * CHUNK_SIZE + 40;
+let skylineImpostor = null;
+
+// Road network: one north-south street per chunk column (at x = cx * CHUNK_SIZE + CHUNK_SIZE / 2)
+// and one east-west street per chunk row, forming a connected lattice across chunk borders.
+// Every AVENUE_INTERVAL-th line (offset by the world seed) is a wide avenue.
+const AVENUE_INTERVAL = 4;
+const ROAD_CLASSES = {
+    avenue: { name: 'avenue', lanesPerDirection: 2, laneWidth: 2.5, sidewalkWidth: 2 },
+    street: { name: 'street', lanesPerDirection: 1, laneWidth: 3, sidewalkWidth: 2 }
+};
+// Raised curb stones along the road edge of every sidewalk (low enough to step over)
+const CURB = { width: 0.2, height: 0.12 };
+// Intersection signal timing in seconds. Avenues hold green longer than streets.
+const SIGNAL_TIMING = { avenueGreen: 16, streetGreen: 10, yellow: 3, allRed: 1.5 };
+const SIGNAL_LAMP_COLORS = { red: 0xff2a1a, yellow: 0xffb81a, green: 0x2aff6a };
+const SIGNAL_LAMP_DIM = 0.12;
+let trafficSignals = new Map(); // node id => signal controller for loaded chunks
+let signalClock = 0; // seconds since the city was created, keeps re-streamed signals in step
+// Ambient traffic. trafficDensity scales VEHICLES_PER_CHUNK over the loaded full-detail chunks.
+const VEHICLES_PER_CHUNK = 2;
+const MAX_VEHICLES = 72; // fleet capacity; MAX_POLICE_UNITS of it is kept free for police
+const VEHICLE_CRUISE_SPEED = { avenue: 11, street: 8 }; // units per second
+const VEHICLE_TURN_SPEED = 5;
+const VEHICLE_ACCELERATION = 4;
+const VEHICLE_BRAKING = 8;
+const VEHICLE_MIN_GAP = 2.5; // bumper gap kept behind cars and the player
+const VEHICLE_LENGTH = 4.2;
+const VEHICLE_COLORS = [0xb22222, 0x1f4e9c, 0xd8d8d8, 0x1b1b1b, 0xe0b020, 0x3a6b3a, 0x7a7f86];
+let trafficDensity = 1;
+let vehicles = [];
+let vehicleFleet = null; // instanced meshes shared by every vehicle
+let vehicleSpawnTimer = 0;
+let intersectionOccupants = new Map(); // node id => cars past its stop line this frame
+// Pedestrians. A fixed pool of CROWD_BUDGET clones of the player model is reused as chunks
+// stream in and out; only chunks within CROWD_CHUNK_RADIUS of the player are populated.
+const CROWD_BUDGET = 16;
+const CROWD_CHUNK_RADIUS = 1;
+const CROWD_DESPAWN_DISTANCE = 56;
+const PEDESTRIANS_PER_CHUNK = 3;
+const PEDESTRIAN_WALK_SPEED = 2.5;
+const PEDESTRIAN_FLEE_SPEED = 7;
+const PEDESTRIAN_CURB_OFFSET = 0.8; // walking line, measured from the curb
+const PEDESTRIAN_RADIUS = 0.3;
+let crowdGroup = null;
+let crowdPool = [];
+let crowdSpawnTimer = 0;
+// Wanted level. Crimes add heat; every whole point of heat is a star (max 5). Stars fall one
+// at a time after the player has been out of police sight for a cooldown.
+const CRIME_HEAT = { disturbance: 0.5, assault: 1, gunfire: 1, vehicleTheft: 1, murder: 2, policeAssault: 3 };
+const MAX_WANTED_LEVEL = 5;
+const WANTED_COOLDOWN_SECONDS = 8; // plus WANTED_COOLDOWN_PER_STAR for each star
+const WANTED_COOLDOWN_PER_STAR = 4;
+const POLICE_UNITS_BY_LEVEL = [0, 1, 2, 3, 4, 6];
+const MAX_POLICE_UNITS = 8;
+const POLICE_SIGHT_RANGE = 45;
+const POLICE_SPAWN_DISTANCE = { min: 35, max: 75 };
+const POLICE_CHASE_SPEED = 15;
+const POLICE_STOP_DISTANCE = 9;
+const wanted = { level: 0, heat: 0, cooldown: 0, seen: false };
+let policeSpawnTimer = 0;
+// Weapons. Shots are hitscan rays from the camera through the crosshair; melee weapons hit
+// whoever is within range in front of the character. parts are boxes (size, offset, palette
+// material) built along local +z, which is the barrel / blade direction. grip places the model
+// relative to the hand bone, in metres and radians (tuned for the Mixamo rig), so that its
+// handle sits in the fist.
+const WEAPONS = {
+    handgun: {
+        name: 'Handgun', damage: 40, range: 120, fireInterval: 0.22, spread: 0.004,
+        magazineSize: 12, startingReserve: 48, maxReserve: 120, reloadTime: 1.4,
+        parts: [
+            { size: [0.032, 0.036, 0.19], offset: [0, 0.018, 0.02], material: 'metalDark' },
+            { size: [0.03, 0.11, 0.05], offset: [0, -0.065, -0.045], material: 'metalDark', rotationX: 0.25 },
+            { size: [0.02, 0.02, 0.04], offset: [0, 0.01, 0.125], material: 'lampPole' }
+        ],
+        muzzle: [0, 0.02, 0.15],
+        grip: { position: { x: 0.0, y: 0.09, z: 0.03 }, rotation: { x: -Math.PI / 2, y: 0, z: Math.PI / 2 } }
+    },
+    smg: {
+        name: 'SMG', damage: 22, range: 90, fireInterval: 0.09, spread: 0.012, automatic: true,
+        magazineSize: 30, startingReserve: 90, maxReserve: 240, reloadTime: 2.0,
+        parts: [
+            { size: [0.045, 0.06, 0.3], offset: [0, 0.02, 0.04], material: 'metalDark' },
+            { size: [0.035, 0.12, 0.045], offset: [0, -0.07, -0.06], material: 'metalDark', rotationX: 0.25 },
+            { size: [0.03, 0.16, 0.04], offset: [0, -0.09, 0.08], material: 'lampPole' },
+            { size: [0.022, 0.022, 0.08], offset: [0, 0.015, 0.22], material: 'lampPole' }
+        ],
+        muzzle: [0, 0.02, 0.27],
+        grip: { position: { x: -0.005, y: 0.105, z: 0.03 }, rotation: { x: -Math.PI / 2, y: 0, z: Math.PI / 2 } }
+    },
+    knife: {
+        name: 'Knife', melee: true, damage: 35, range: 1.4, fireInterval: 0.45,
+        parts: [
+            { size: [0.025, 0.03, 0.1], offset: [0, 0.015, -0.02], material: 'metalDark' },
+            { size: [0.006, 0.03, 0.16], offset: [0, 0.015, 0.11], material: 'lampPole' }
+        ],
+        grip: { position: { x: 0.08, y: 0.065, z: 0.03 }, rotation: { x: -Math.PI / 2, y: 0, z: Math.PI / 2 } }
+    },
+    bat: {
+        name: 'Baseball Bat', melee: true, damage: 50, range: 1.8, fireInterval: 0.8,
+        parts: [
+            { size: [0.035, 0.035, 0.3], offset: [0, 0.018, 0.05], material: 'wood' },
+            { size: [0.06, 0.06, 0.5], offset: [0, 0.03, 0.45], material: 'wood' }
+        ],
+        // Held near the knob end of the handle
+        grip: { position: { x: 0.083, y: 0.095, z: 0.03 }, rotation: { x: -Math.PI / 2, y: 0, z: Math.PI / 2 } }
+    }
+};
+// Where unused weapons are carried on the lobby preview, relative to the character's root
+const HOLSTER_POSITIONS = {
+    primary: { position: { x: 0.05, y: 1.35, z: -0.18 }, rotation: { x: -Math.PI / 2 - 0.3, y: 0, z: 0.6 } },
+    sidearm: { position: { x: -0.22, y: 0.95, z: 0.02 }, rotation: { x: Math.PI / 2, y: 0, z: 0 } },
+    melee: { position: { x: 0.22, y: 0.95, z: -0.05 }, rotation: { x: Math.PI / 2 + 0.2, y: 0, z: 0 } }
+};
+const AIM_SHOULDER_OFFSET = 0.7; // camera slides over the right shoulder while aiming
+const AIM_ZOOM = 0.35; // fraction of the follow distance removed while aiming
+const GUNFIRE_REPORT_INTERVAL = 8; // seconds between 'gunfire' crimes during a firefight
+const MAX_IMPACT_DECALS = 48;
+const weapon = {
+    id: null, model: null, aiming: false, aimBlend: 0, triggerHeld: false,
+    cooldown: 0, reloadTimer: 0, flashTimer: 0, lastGunfireReport: -Infinity, lastAssaultReport: -Infinity,
+    ammo: {}, // weapon id => { magazine, reserve }
+    models: {} // weapon id => in-hand model, built on first equip
+};
+// Inventory. Items are data; the player owns a count of each and the loadout maps every equip
+// slot to an owned item id (or null). Stackable items are used up: one body armor is worn per
+// spawn, medkits are used in game.
+const ITEMS = {
+    smg: { name: 'SMG', slot: 'primary', weapon: 'smg' },
+    handgun: { name: 'Handgun', slot: 'sidearm', weapon: 'handgun' },
+    knife: { name: 'Knife', slot: 'melee', weapon: 'knife' },
+    bat: { name: 'Baseball Bat', slot: 'melee', weapon: 'bat' },
+    bodyArmor: { name: 'Body Armor', slot: 'body', stackable: true, armor: 50 },
+    medkit: { name: 'Medkit', stackable: true, heal: 40 }
+};
+const EQUIP_SLOTS = ['primary', 'sidearm', 'melee', 'body'];
+const WEAPON_SLOTS = ['primary', 'sidearm', 'melee']; // number keys 1-3 in game
+const STARTING_INVENTORY = { handgun: 1, knife: 1, bodyArmor: 1, medkit: 2 };
+const STARTING_LOADOUT = { primary: null, sidearm: 'handgun', melee: 'knife', body: 'bodyArmor' };
+const inventory = { items: {}, loadout: {} }; // items: id => count
+let loadoutPreview = []; // holstered models shown on the lobby character
+// Wallet and store. There is no income yet: coins are spent through spendCoins (store,
+// hospital bill) or replaced by applyProfile, and both emit 'walletChanged' so the header
+// display (and anything else listening) stays in sync.
+const STARTING_COINS = 1000;
+const wallet = { coins: STARTING_COINS };
+// Catalog entries grant count of an item for price coins. unlock is optional: a stat that has
+// to reach min (see playerStats), and/or an item that must already be owned.
+const STORE_CATEGORIES = ['weapons', 'melee', 'gear'];
+const STORE_CATALOG = [
+    { id: 'handgun', item: 'handgun', category: 'weapons', price: 400, image: 'Gun.jpeg' },
+    { id: 'smg', item: 'smg', category: 'weapons', price: 1500, unlock: { stat: 'highestWantedLevel', min: 2, owns: 'handgun' } },
+    { id: 'knife', item: 'knife', category: 'melee', price: 100 },
+    { id: 'bat', item: 'bat', category: 'melee', price: 250, unlock: { stat: 'kills', min: 5 } },
+    { id: 'bodyArmor', item: 'bodyArmor', count: 1, category: 'gear', price: 200 },
+    { id: 'medkits', item: 'medkit', count: 3, category: 'gear', price: 150 }
+];
+const STAT_LABELS = {
+    kills: n => `${n} kills`,
+    deaths: n => `${n} deaths`,
+    highestWantedLevel: n => `${n}-star wanted level`
+};
+// Lifetime stats, counted from game events
+const playerStats = { kills: 0, deaths: 0, highestWantedLevel: 0 };
+let storeCategory = STORE_CATEGORIES[0];
+// Player profile: coins, items, loadout, settings and stats, saved to localStorage. When the
+// saved shape changes, bump PROFILE_VERSION and add PROFILE_MIGRATIONS[oldVersion], a function
+// that upgrades a profile from oldVersion to oldVersion + 1.
+const PROFILE_STORAGE_KEY = 'cov.profile';
+const PROFILE_VERSION = 2;
+const PROFILE_MIGRATIONS = {
+    // v2 added rebindable controls
+    1: profile => ({ ...profile, bindings: getDefaultBindings() })
+};
+const PROFILE_SAVE_DELAY_MS = 500; // changes are batched into one write
+let profileSaveTimer = null;
+let impactDecals = null; // { mesh, records, next }
+// Player health. Armor soaks up ARMOR_ABSORPTION of each hit until it runs out.
+const PLAYER_MAX_HEALTH = 100;
+const PLAYER_MAX_ARMOR = 100;
+const ARMOR_ABSORPTION = 0.6;
+const DEATH_CAMERA_SECONDS = 4; // how long the death camera runs before respawn / lobby
+const RESPAWN_MIN_POLICE_DISTANCE = 40;
+// What dying costs in each mode: 'respawn' wakes the player on a safe sidewalk in the loaded
+// city and charges a hospital bill (fraction of coins, clamped to min/max); 'lobby' ends the run.
+// The mode is picked under OPTIONS (settings.gameMode) and locked in when a run starts.
+const GAME_MODES = {
+    freeroam: { label: 'Free roam', onDeath: 'respawn', hospitalBill: { fraction: 0.1, min: 50, max: 500 } },
+    hardcore: { label: 'Hardcore', onDeath: 'lobby', hospitalBill: null }
+};
+let gameMode = 'freeroam';
+let pendingLobbyReturn = false; // set mid-frame when a run ends; handled after the frame's updates
+// Responding police shoot back from this wanted level up (interval is per unit, in seconds)
+const POLICE_FIRE = { minLevel: 2, range: 14, interval: 1.2, accuracy: 0.5, damage: 8 };
+const player = {
+    health: PLAYER_MAX_HEALTH, armor: 0, dead: false, deathTimer: 0, deathYaw: 0,
+    damageEdges: { top: 0, right: 0, bottom: 0, left: 0 }, // screen-edge indicator intensities
+    // Vertical movement (see updateVerticalMovement)
+    grounded: true, verticalVelocity: 0, airTime: 0,
+    coyoteTimer: 0, // seconds a jump is still allowed after leaving the ground
+    jumpBuffer: 0,  // seconds a jump press waits for the ground
+    landTimer: 0    // seconds left of the landing recovery (animation)
+};
+// Streaming work is spread over frames: build chunks until this budget is spent
+// (at least one per frame) and dispose a few stale chunks per frame
+const CHUNK_BUILD_BUDGET_MS = 4;
+const CHUNK_UNLOADS_PER_FRAME = 2;
 let loadedChunks = new Map(); // key => THREE.Group
 let lastChunkX = null, lastChunkZ = null;
+let chunkLoadQueue = [];         // [{ cx, cz, key }] waiting to be built
+const chunkUnloadQueue = new Set(); // keys waiting to be disposed
+
+// World seed: every chunk derives its own PRNG from (worldSeed, cx, cz) so it
+// regenerates identically when streamed back in. Chosen when PLAY is clicked.
+let worldSeed = 0;
+
+// Shared city resources. Materials and geometries in these caches are reused by every
+// chunk and flagged userData.shared so chunk unloads never dispose them.
+const CITY_PALETTE = {
+    concrete:  { color: 0x666666, roughness: 0.8, metalness: 0.1, windows: true },
+    brick:     { color: 0x8b4513, roughness: 0.7, metalness: 0.0, windows: true },
+    blueGray:  { color: 0x708090, roughness: 0.6, metalness: 0.2, windows: true },
+    darkSlate: { color: 0x2f4f4f, roughness: 0.9, metalness: 0.0, windows: true },
+    glass:     { color: 0x3b4d5c, roughness: 0.25, metalness: 0.6, windows: true },
+    stucco:    { color: 0xb8a88a, roughness: 0.9, metalness: 0.0, windows: true },
+    corrugated: { color: 0x7a7f85, roughness: 0.5, metalness: 0.5, windows: true },
+    rust:      { color: 0x6e3b23, roughness: 0.8, metalness: 0.3, windows: true },
+    warehouse: { color: 0x5b5348, roughness: 0.85, metalness: 0.1, windows: true },
+    grass:     { color: 0x2f4a26, roughness: 1.0, metalness: 0.0 },
+    water:     { color: 0x1d3b4f, roughness: 0.1, metalness: 0.3 },
+    wood:      { color: 0x8b4513, roughness: 0.8, metalness: 0.0 },
+    metalDark: { color: 0x2a2a2a, roughness: 0.6, metalness: 0.5 },
+    treeTrunk: { color: 0x4a3222, roughness: 1.0, metalness: 0.0 },
+    treeLeaves: { color: 0x2e5a2a, roughness: 0.9, metalness: 0.0 },
+    crate:     { color: 0x9c7a4c, roughness: 0.9, metalness: 0.0 },
+    barrel:    { color: 0x3f5f8a, roughness: 0.6, metalness: 0.4 },
+    container: { color: 0x8a3b2e, roughness: 0.7, metalness: 0.4 },
+    groundA:   { color: 0x2c2c2c, roughness: 0.95, metalness: 0.05 },
+    groundB:   { color: 0x323232, roughness: 0.95, metalness: 0.05 },
+    road:      { color: 0x1a1a1a, roughness: 0.8, metalness: 0.0 },
+    sidewalk:  { color: 0x555555, roughness: 0.9, metalness: 0.0 },
+    curb:      { color: 0x6e6e6e, roughness: 0.85, metalness: 0.0 },
+    paintWhite:  { color: 0xd8d8d8, roughness: 0.7, metalness: 0.0 },
+    paintYellow: { color: 0xf7d617, roughness: 0.7, metalness: 0.0 },
+    marker:    { color: 0xff0000, basic: true },
+    lampPole:  { color: 0x444444, roughness: 0.6, metalness: 0.5 },
+    // Emissive intensity is driven by the day/night cycle
+    lampHead:  { color: 0x333333, roughness: 0.5, metalness: 0.2, emissive: 0xffc27a },
+    // Traffic signal lamps; the lit colour comes from per-instance colours
+    signalLamp: { color: 0xffffff, basic: true },
+    // Vehicles; body paint is tinted per instance
+    carPaint:  { color: 0xffffff, roughness: 0.35, metalness: 0.4 },
+    carGlass:  { color: 0x1a2026, roughness: 0.1, metalness: 0.6 },
+    headLight: { color: 0xfff2cc, basic: true },
+    tailLight: { color: 0xc81010, basic: true },
+    // Far-ring buildings: cheap Lambert shading, tinted per instance with the palette color
+    silhouette: { color: 0xffffff, lambert: true, windows: true }
+};
+const BUILDING_MATERIAL_KEYS = ['concrete', 'brick', 'blueGray', 'darkSlate'];
+
+// Districts are assigned per chunk from smooth seeded noise over chunk coordinates
+// (DISTRICT_NOISE_SCALE chunks per noise cell). Each one has its own building rules,
+// palette and prop set; parks have no buildings and waterfront lots may be water.
+const DISTRICT_NOISE_SCALE = 6;
+const WATER_LEVEL = 0.2;
+const DISTRICTS = {
+    downtown: {
+        name: 'downtown', pedestrians: 1.5, heightRange: [22, 50], footprint: [0.8, 1.0],
+        materials: ['glass', 'blueGray', 'concrete', 'darkSlate'], props: ['planter', 'newsStand', 'bench']
+    },
+    residential: {
+        name: 'residential', pedestrians: 1, heightRange: [4, 11], footprint: [0.5, 0.8],
+        materials: ['brick', 'stucco', 'concrete'], props: ['tree', 'bench', 'planter']
+    },
+    industrial: {
+        name: 'industrial', pedestrians: 0.4, heightRange: [5, 9], footprint: [0.65, 0.8],
+        materials: ['corrugated', 'rust', 'concrete'], props: ['barrel', 'bollard'], yardProps: ['crate', 'container', 'barrel']
+    },
+    park: {
+        name: 'park', pedestrians: 0.8, heightRange: null, footprint: null,
+        materials: [], props: ['bench', 'tree'], lotFill: 'grass', lotProps: ['tree', 'tree', 'bench']
+    },
+    waterfront: {
+        name: 'waterfront', pedestrians: 0.6, heightRange: [3, 7], footprint: [0.55, 0.75],
+        materials: ['warehouse', 'corrugated', 'rust'], props: ['bollard', 'crate'], yardProps: ['crate', 'barrel']
+    }
+};
+
+// Street and lot furniture. Parts are unit shapes scaled to size ({ w, h, d }) and offset
+// from the prop origin; footprint is the blocking volume (null = walk-through).
+const PROP_TYPES = {
+    bench: {
+        footprint: { w: 2, h: 0.5, d: 0.8 },
+        parts: [
+            { shape: 'box', material: 'wood', size: { w: 2, h: 0.1, d: 0.8 }, offset: { x: 0, y: 0.4, z: 0 } },
+            { shape: 'box', material: 'wood', size: { w: 2, h: 0.6, d: 0.1 }, offset: { x: 0, y: 0.45, z: -0.35 } },
+            { shape: 'box', material: 'metalDark', size: { w: 0.1, h: 0.4, d: 0.6 }, offset: { x: -0.85, y: 0, z: 0 } },
+            { shape: 'box', material: 'metalDark', size: { w: 0.1, h: 0.4, d: 0.6 }, offset: { x: 0.85, y: 0, z: 0 } }
+        ]
+    },
+    tree: {
+        footprint: { w: 0.5, h: 3, d: 0.5 },
+        parts: [
+            { shape: 'cylinder', material: 'treeTrunk', size: { w: 0.35, h: 2.4, d: 0.35 }, offset: { x: 0, y: 0, z: 0 } },
+            { shape: 'sphere', material: 'treeLeaves', size: { w: 2.6, h: 2.6, d: 2.6 }, offset: { x: 0, y: 1.9, z: 0 } }
+        ]
+    },
+    planter: {
+        footprint: { w: 1.2, h: 0.6, d: 1.2 },
+        parts: [
+            { shape: 'box', material: 'concrete', size: { w: 1.2, h: 0.6, d: 1.2 }, offset: { x: 0, y: 0, z: 0 } },
+            { shape: 'sphere', material: 'treeLeaves', size: { w: 1.0, h: 0.7, d: 1.0 }, offset: { x: 0, y: 0.5, z: 0 } }
+        ]
+    },
+    newsStand: {
+        footprint: { w: 1.6, h: 2.2, d: 1.0 },
+        parts: [
+            { shape: 'box', material: 'metalDark', size: { w: 1.6, h: 2.2, d: 1.0 }, offset: { x: 0, y: 0, z: 0 } }
+        ]
+    },
+    bollard: {
+        footprint: { w: 0.3, h: 0.9, d: 0.3 },
+        parts: [
+            { shape: 'cylinder', material: 'metalDark', size: { w: 0.3, h: 0.9, d: 0.3 }, offset: { x: 0, y: 0, z: 0 } }
+        ]
+    },
+    crate: {
+        footprint: { w: 1.2, h: 1.2, d: 1.2 },
+        parts: [
+            { shape: 'box', material: 'crate', size: { w: 1.2, h: 1.2, d: 1.2 }, offset: { x: 0, y: 0, z: 0 } }
+        ]
+    },
+    barrel: {
+        footprint: { w: 0.7, h: 1.1, d: 0.7 },
+        parts: [
+            { shape: 'cylinder', material: 'barrel', size: { w: 0.7, h: 1.1, d: 0.7 }, offset: { x: 0, y: 0, z: 0 } }
+        ]
+    },
+    container: {
+        footprint: { w: 6, h: 2.6, d: 2.4 },
+        parts: [
+            { shape: 'box', material: 'container', size: { w: 6, h: 2.6, d: 2.4 }, offset: { x: 0, y: 0, z: 0 } }
+        ]
+    },
+    // Signal head faces local +z; createTrafficLights() adds the lamps in front of it
+    signalPole: {
+        footprint: { w: 0.3, h: 3.6, d: 0.3 },
+        parts: [
+            { shape: 'cylinder', material: 'lampPole', size: { w: 0.16, h: 2.6, d: 0.16 }, offset: { x: 0, y: 0, z: 0 } },
+            { shape: 'box', material: 'metalDark', size: { w: 0.4, h: 1.0, d: 0.3 }, offset: { x: 0, y: 2.6, z: 0 } }
+        ]
+    },
+    // Arm reaches over the road along local -x; lamps are rotated to face their street
+    streetLamp: {
+        footprint: { w: 0.3, h: 6, d: 0.3 },
+        parts: [
+            { shape: 'cylinder', material: 'lampPole', size: { w: 0.2, h: 6, d: 0.2 }, offset: { x: 0, y: 0, z: 0 } },
+            { shape: 'box', material: 'lampPole', size: { w: 1.4, h: 0.12, d: 0.12 }, offset: { x: -0.7, y: 5.9, z: 0 } },
+            { shape: 'sphere', material: 'lampHead', size: { w: 0.6, h: 0.35, d: 0.6 }, offset: { x: -1.3, y: 5.7, z: 0 } }
+        ]
+    }
+};
+
+// Vehicle body parts (unit boxes, local +z is forward), drawn as one instanced mesh per part
+const VEHICLE_PARTS = [
+    { material: 'carPaint', paint: true, size: { w: 1.8, h: 0.8, d: VEHICLE_LENGTH }, offset: { x: 0, y: 0.3, z: 0 } },
+    { material: 'carGlass', size: { w: 1.6, h: 0.6, d: 2.2 }, offset: { x: 0, y: 1.1, z: -0.2 } },
+    { material: 'headLight', size: { w: 1.5, h: 0.15, d: 0.05 }, offset: { x: 0, y: 0.8, z: VEHICLE_LENGTH / 2 } },
+    { material: 'tailLight', size: { w: 1.5, h: 0.15, d: 0.05 }, offset: { x: 0, y: 0.8, z: -VEHICLE_LENGTH / 2 - 0.05 } },
+    // Roof light bar, only drawn on police cars; flashes red/blue while responding
+    { material: 'signalLamp', police: true, size: { w: 1.2, h: 0.15, d: 0.3 }, offset: { x: 0, y: 1.7, z: -0.2 } }
+];
+const POLICE_PAINT = 0x101418;
+const SIREN_COLORS = [new THREE.Color(0xff2020), new THREE.Color(0x2050ff)];
+const SIREN_OFF = new THREE.Color(0x333333);
+
+// Day/night cycle. timeOfDay is in hours (0-24); timeScale 1 runs one full day per
+// DAY_LENGTH_SECONDS of play, 0 freezes the clock. Both are adjustable from the debug panel.
+const DAY_LENGTH_SECONDS = 20 * 60;
+const DEFAULT_TIME_OF_DAY = 16;
+let timeOfDay = DEFAULT_TIME_OF_DAY;
+let timeScale = 1;
+// Lighting keyframes by hour, interpolated linearly. glow drives lit windows and street lamps.
+const SKY_KEYFRAMES = [
+    { hour: 0,    skyTop: 0x05070f, skyBottom: 0x111827, sun: 0x8899cc, sunIntensity: 0.25, hemiSky: 0x223355, hemiGround: 0x0a0a10, hemi: 0.25, ambient: 0.08, glow: 1 },
+    { hour: 5,    skyTop: 0x0b1020, skyBottom: 0x1e2533, sun: 0x8899cc, sunIntensity: 0.2,  hemiSky: 0x2a3a5a, hemiGround: 0x0a0a10, hemi: 0.28, ambient: 0.1,  glow: 1 },
+    { hour: 6.5,  skyTop: 0x3a4a6b, skyBottom: 0xe39a6a, sun: 0xffb070, sunIntensity: 0.9,  hemiSky: 0xffc9a0, hemiGround: 0x333344, hemi: 0.45, ambient: 0.2,  glow: 0.4 },
+    { hour: 8,    skyTop: 0x4a7ab8, skyBottom: 0xb9d3ea, sun: 0xfff1dd, sunIntensity: 1.8,  hemiSky: 0xffffff, hemiGround: 0x333344, hemi: 0.6,  ambient: 0.3,  glow: 0 },
+    { hour: 12,   skyTop: 0x3f74c4, skyBottom: 0xbfd8f0, sun: 0xffffff, sunIntensity: 2.0,  hemiSky: 0xffffff, hemiGround: 0x333344, hemi: 0.6,  ambient: 0.35, glow: 0 },
+    { hour: 17,   skyTop: 0x4a73ad, skyBottom: 0xd9c7a8, sun: 0xffe2b8, sunIntensity: 1.6,  hemiSky: 0xfff0dd, hemiGround: 0x333344, hemi: 0.55, ambient: 0.3,  glow: 0 },
+    { hour: 18.5, skyTop: 0x2a2f55, skyBottom: 0xe0774a, sun: 0xff8a4a, sunIntensity: 0.8,  hemiSky: 0xffa070, hemiGround: 0x2a2a33, hemi: 0.4,  ambient: 0.18, glow: 0.6 },
+    { hour: 20,   skyTop: 0x070a16, skyBottom: 0x1a2035, sun: 0x8899cc, sunIntensity: 0.25, hemiSky: 0x223355, hemiGround: 0x0a0a10, hemi: 0.28, ambient: 0.1,  glow: 1 },
+    { hour: 24,   skyTop: 0x05070f, skyBottom: 0x111827, sun: 0x8899cc, sunIntensity: 0.25, hemiSky: 0x223355, hemiGround: 0x0a0a10, hemi: 0.25, ambient: 0.08, glow: 1 }
+];
+// A few real point lights follow the lamps nearest the player; the rest only glow
+const STREET_LIGHT_POOL_SIZE = 6;
+const STREET_LIGHT_INTENSITY = 40; // candela (renderer uses physically correct lights)
+// Shared uniform read by every building material's window shader
+const windowGlowUniform = { value: 0 };
+let ambientLight, hemiLight, sunLight, fillLight, rimLight;
+let skyDome = null;
+let streetLightPool = [];
+// One muzzle-flash light for whichever gun fires. It stays in the scene (dark between shots)
+// so equipping, holstering or firing never changes the light count and recompiles shaders.
+let muzzleFlashLight = null;
+const MUZZLE_FLASH_INTENSITY = 30;
+let streetLightRefreshTimer = 0;
+let lobbyLightingState = null;
+
+// Weather. Each state is a set of targets the live `weather` values blend towards over
+// WEATHER_TRANSITION_SECONDS: light scales sun/sky light, cloud greys out the sky, fog
+// sets the distance fog range, rain drives particles and audio, wetness lowers road roughness.
+const WEATHER_TRANSITION_SECONDS = 8;
+const WEATHER_STATES = {
+    clear:    { light: 1.0,  cloud: 0.0,  fogNear: FOG_NEAR, fogFar: FOG_FAR, rain: 0, wetness: 0 },
+    overcast: { light: 0.6,  cloud: 0.6,  fogNear: 70,       fogFar: 200,     rain: 0, wetness: 0 },
+    fog:      { light: 0.7,  cloud: 0.5,  fogNear: 4,        fogFar: 55,      rain: 0, wetness: 0.3 },
+    rain:     { light: 0.45, cloud: 0.75, fogNear: 25,       fogFar: 140,     rain: 1, wetness: 1 }
+};
+// Materials that get wet, and their roughness when soaked
+const WET_MATERIAL_KEYS = ['groundA', 'groundB', 'road', 'sidewalk'];
+const WET_ROUGHNESS = 0.25;
+const RAIN_DROP_COUNT = 1500;
+const RAIN_AREA = { halfWidth: 25, height: 22 };
+const RAIN_FALL_SPEED = 22; // units per second
+let weatherName = 'clear';
+const weather = Object.assign({}, WEATHER_STATES.clear);
+let weatherFrom = Object.assign({}, WEATHER_STATES.clear);
+let weatherProgress = 1;
+let rainSystem = null;
+const materialCache = new Map();
+const geometryCache = new Map();
+
+// Collision settings: the character is treated as an upright cylinder
+const CHARACTER_COLLISION_RADIUS = 0.35;
+const CHARACTER_COLLISION_HEIGHT = 1.8;
+// Vertical movement. Ground height comes from a ray cast down into the loaded chunk geometry
+// (getGroundHeight), so raised sidewalks, props and terrain are walked on as modelled.
+const GRAVITY = 24;               // units/s²
+const JUMP_SPEED = 7.5;           // initial upward speed: apex about 1.2 units
+const MAX_FALL_SPEED = 40;
+const COYOTE_TIME = 0.12;         // a jump still works this long after walking off a ledge
+const JUMP_BUFFER_TIME = 0.12;    // a jump pressed this long before landing still happens
+const STEP_HEIGHT = 0.55;         // ledges up to this high (curbs, bench seats) are walked onto
+const STEP_UP_SPEED = 6;          // units/s the feet rise when stepping up
+const GROUND_SNAP_DISTANCE = 0.2; // smaller drops are followed down; larger ones are falls
+const LANDING_RECOVERY = 0.2;     // seconds the land animation state holds after touching down
+const CHARACTER_GROUND_CLEARANCE = 0.1; // feet sit this far above the surface (no z-fighting)
+const groundRaycaster = new THREE.Raycaster();
+// Registered blocking volumes: owner key (chunk key or prop set) => array of volumes,
+// plus a per-chunk spatial index so movement only tests nearby volumes
+const colliderOwners = new Map();
+const colliderCells = new Map();
 
 // Movement and camera follow settings
 const MOVE_SPEED = 5; // units per second
 const SPRINT_MULTIPLIER = 2; // Shift+W sprint speed multiplier
+
+// Player locomotion animation: a small state machine whose states are blend trees over named
+// clips. speed is the ground speed (units/s) a clip was authored at, so playback is time-scaled
+// to the actual speed and the feet don't slide; a clip that isn't loaded is replaced by its
+// fallback (reverse plays the fallback backwards).
+const LOCOMOTION_CLIPS = {
+    idle:        { speed: 0 },
+    walk:        { speed: MOVE_SPEED },
+    run:         { speed: MOVE_SPEED * SPRINT_MULTIPLIER, fallback: 'walk' },
+    walkBack:    { speed: MOVE_SPEED, fallback: 'walk', reverse: true },
+    strafeLeft:  { speed: MOVE_SPEED, fallback: 'walk' },
+    strafeRight: { speed: MOVE_SPEED, fallback: 'walk' },
+    turnLeft:    { speed: 0, fallback: 'idle' },
+    turnRight:   { speed: 0, fallback: 'idle' },
+    jump:        { speed: 0, fallback: 'idle' },
+    fall:        { speed: 0, fallback: 'idle' },
+    land:        { speed: 0, fallback: 'idle' }
+};
+const LOCOMOTION_TIME_SCALE = { min: 0.4, max: 2.5 };
+// States and their blend trees. Each returns [{ clip, weight }] for the current parameters:
+// speed (units/s), direction (move direction relative to facing, radians, positive = to the
+// character's left), turnRate (radians/s, positive = turning left), and from the player's
+// vertical movement grounded, verticalSpeed, airTime and landing
+const LOCOMOTION_STATES = {
+    idle: { blend: () => [{ clip: 'idle', weight: 1 }] },
+    turn: { blend: p => [{ clip: p.turnRate > 0 ? 'turnLeft' : 'turnRight', weight: 1 }] },
+    move: { blend: blendLocomotionMove },
+    jump: { blend: () => [{ clip: 'jump', weight: 1 }] },
+    fall: { blend: () => [{ clip: 'fall', weight: 1 }] },
+    land: { blend: () => [{ clip: 'land', weight: 1 }] }
+};
+// Checked in order from the current state (from may list several); fade is the cross-fade
+// time in seconds. Short drops (under airTime 0.2 s) don't leave the ground states.
+const LOCOMOTION_TRANSITIONS = [
+    { from: ['idle', 'turn', 'move', 'land'], to: 'jump', fade: 0.1, when: p => !p.grounded && p.verticalSpeed > 0 },
+    { from: ['idle', 'turn', 'move', 'land'], to: 'fall', fade: 0.2, when: p => !p.grounded && p.airTime > 0.2 },
+    { from: 'jump', to: 'fall', fade: 0.2, when: p => p.verticalSpeed <= 0 },
+    { from: ['jump', 'fall'], to: 'land', fade: 0.08, when: p => p.grounded },
+    { from: 'land', to: 'move', fade: 0.15, when: p => !p.landing && p.speed > 0.3 },
+    { from: 'land', to: 'idle', fade: 0.15, when: p => !p.landing },
+    { from: 'idle', to: 'move', fade: 0.12, when: p => p.speed > 0.3 },
+    { from: 'turn', to: 'move', fade: 0.12, when: p => p.speed > 0.3 },
+    { from: 'move', to: 'idle', fade: 0.15, when: p => p.speed < 0.15 },
+    { from: 'idle', to: 'turn', fade: 0.2, when: p => Math.abs(p.turnRate) > 1.5 },
+    { from: 'turn', to: 'idle', fade: 0.25, when: p => Math.abs(p.turnRate) < 0.5 }
+];
+const locomotion = {
+    actions: {},              // clip name => AnimationAction on the player mixer
+    state: 'idle',
+    stateWeights: { idle: 1 }, // cross-fade weight per state
+    fade: 0.15,               // seconds of the transition in progress
+    lastYaw: null,            // character yaw on the previous update (turn rate)
+    turnRate: 0               // smoothed, radians per second
+};
 const DEFAULT_CAMERA_FOLLOW_HEIGHT = 4.25;
 const DEFAULT_CAMERA_FOLLOW_DISTANCE = 8.14;
 const CAMERA_HEIGHT_RANGE = { min: 0.8, max: 8.0 };
 const CAMERA_DISTANCE_RANGE = { min: 4.0, max: 14.0 };
 
-// ALWAYS use default values - ignore any saved preferences to ensure consistency
+// Defaults; the saved profile's settings replace them at startup (see applyProfile)
 let cameraFollowHeight = DEFAULT_CAMERA_FOLLOW_HEIGHT;
 let cameraFollowDistance = DEFAULT_CAMERA_FOLLOW_DISTANCE;
-const keysPressed = {};
+// Input actions. Gameplay asks isActionActive(name) instead of reading raw keys. Bindings are
+// KeyboardEvent.code values (physical key positions, so WASD stays WASD on AZERTY and other
+// layouts) or 'Mouse<button>'; every action has a primary and an alternate binding.
+const INPUT_ACTIONS = {
+    moveForward:   { label: 'Move forward', bindings: ['KeyW', 'ArrowUp'] },
+    moveBackward:  { label: 'Move back', bindings: ['KeyS', 'ArrowDown'] },
+    moveLeft:      { label: 'Strafe left', bindings: ['KeyA', 'ArrowLeft'] },
+    moveRight:     { label: 'Strafe right', bindings: ['KeyD', 'ArrowRight'] },
+    sprint:        { label: 'Sprint', bindings: ['ShiftLeft', 'ShiftRight'] },
+    jump:          { label: 'Jump', bindings: ['Space', null] },
+    interact:      { label: 'Interact', bindings: ['KeyE', null] },
+    fire:          { label: 'Fire', bindings: ['Mouse0', null] },
+    aim:           { label: 'Aim', bindings: ['Mouse2', null] },
+    reload:        { label: 'Reload', bindings: ['KeyR', null] },
+    weaponPrimary: { label: 'Primary weapon', bindings: ['Digit1', null] },
+    weaponSidearm: { label: 'Sidearm', bindings: ['Digit2', null] },
+    weaponMelee:   { label: 'Melee weapon', bindings: ['Digit3', null] },
+    useMedkit:     { label: 'Use medkit', bindings: ['KeyH', null] },
+    pause:         { label: 'Pause', bindings: ['Escape', 'KeyP'] }
+};
+const inputBindings = {}; // action => [primary, alternate]
+const heldInputs = new Set(); // codes currently held down
+let keyboardLayoutMap = null; // code => printed key label, where the browser exposes it
+
+// Gamepad (Gamepad API "standard" layout, polled every frame). Buttons are fed to the action
+// layer as 'Pad<index>' codes; the sticks are read directly as analog values.
+const GAMEPAD_BUTTONS = {
+    A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, BACK: 8, START: 9,
+    LS: 10, RS: 11, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+};
+const GAMEPAD_BINDINGS = {
+    sprint: 'Pad10', jump: 'Pad0', interact: 'Pad3', fire: 'Pad7', aim: 'Pad6', reload: 'Pad2',
+    weaponPrimary: 'Pad14', weaponSidearm: 'Pad15', weaponMelee: 'Pad13', useMedkit: 'Pad12', pause: 'Pad9'
+};
+const GAMEPAD_BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →'];
+const GAMEPAD_STICK_DEADZONE = 0.15; // radial, as a fraction of full deflection
+const GAMEPAD_STICK_CURVE = 1.6;     // response exponent: >1 gives finer control near the centre
+const GAMEPAD_LOOK_SPEED = { yaw: 3.2, pitch: 2.0 }; // radians per second at full deflection
+// Left stick: walk speed is reached at RUN_START deflection, then blends up to a jog at full tilt
+const GAMEPAD_RUN_START = 0.75;
+const GAMEPAD_RUN_MULTIPLIER = 1.4;
+// Menu focus: the D-pad (or left stick) repeats after a short hold
+const GAMEPAD_MENU_REPEAT = { delay: 0.4, interval: 0.12 };
+// A connected pad only steers the view (and allows fire/aim without pointer lock) while it is
+// in use: a button held or pressed, or a stick outside the deadzone, within this many seconds
+const GAMEPAD_ACTIVE_SECONDS = 5;
+// Menus the D-pad can navigate, topmost first; back is the button B presses
+const GAMEPAD_MENUS = [
+    { id: 'options-modal', back: 'close-options-btn' },
+    { id: 'store-modal', back: 'close-store-btn' },
+    { id: 'pause-menu', back: 'resume-btn' },
+    { id: 'loadout-panel', back: 'close-loadout-btn' },
+    { id: 'game-lobby', back: null }
+];
+const gamepadState = {
+    index: null,            // navigator.getGamepads() slot in use, null when none is connected
+    buttons: [],            // pressed state from the previous poll
+    move: { x: 0, y: 0 },   // left stick after deadzone and curve
+    look: { x: 0, y: 0 },   // right stick after deadzone and curve
+    menuDirection: null,    // D-pad direction currently held in a menu
+    menuRepeat: 0,          // seconds until that direction repeats
+    focused: null,          // menu element with the gamepad focus ring
+    lastInput: -Infinity    // performance.now() of the last button or stick input, in seconds
+};
+
+// Touch controls (phones and tablets): a floating joystick on the left half of the screen,
+// drag-to-look on the right half, and on-screen buttons fed to the action layer as codes
+const IS_TOUCH_DEVICE = window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : 'ontouchstart' in window;
+const TOUCH_BINDINGS = { sprint: 'TouchSprint', fire: 'TouchFire', aim: 'TouchAim', reload: 'TouchReload', pause: 'TouchPause' };
+const TOUCH_JOYSTICK_RADIUS = 56;    // pixels the knob can travel from the joystick centre
+const TOUCH_JOYSTICK_DEADZONE = 0.12;
+const TOUCH_LOOK_SPEED = 0.006;      // radians per pixel dragged at look speed 1
+// Cheaper defaults for the graphics settings on touch devices (players can still raise them)
+const TOUCH_RENDER_PROFILE = { pixelRatioCap: 1, shadowMapSize: 1024, chunkRadius: 1 };
+const touchState = {
+    move: { x: 0, y: 0 },   // joystick deflection, -1..1 per axis (y down, like a gamepad stick)
+    joystickId: null,       // Touch.identifier steering the joystick
+    lookId: null,           // Touch.identifier dragging the view
+    lookLast: null,         // last position of that touch
+    active: false           // the on-screen controls are up (a city session on a touch device)
+};
 
 // Pointer-lock mouselook state
 const POINTER_SENSITIVITY = 0.0018;
@@ -98,18 +702,78 @@ let movementYaw = 0; // filtered yaw used for movement/orientation only (not cam
 const CAMERA_PITCH_RANGE_DEG = { min: -30, max: 60 };
 // Ensure camera stays above character by at least this vertical offset (world units)
 const MIN_CAMERA_ABOVE_CHARACTER = 0.6;
+// Follow-camera collision: a sphere is swept from the character's head out to the (aim
+// shoulder) look-at point and on toward the wanted camera position against the collision
+// volumes; the camera snaps in front of the first hit and eases back out once the way is
+// clear. With occluder fading on, volumes narrower than CAMERA_THIN_OCCLUDER_SIZE (poles,
+// trees, bollards) don't pull the camera in; street props on the line of sight fade to
+// CAMERA_OCCLUDER_OPACITY instead.
+const CAMERA_COLLISION_RADIUS = 0.3;   // below CHARACTER_COLLISION_RADIUS, so the head is never inside a swept volume
+const CAMERA_EASE_OUT_SPEED = 3;       // per second, exponential ease back to the follow distance
+// In a gap too tight for the camera to stay behind the character it may end up at the head;
+// the character is hidden while the camera is closer than this to the look-at point
+const CAMERA_HIDE_CHARACTER_DISTANCE = 1;
+const CAMERA_THIN_OCCLUDER_SIZE = 1.5; // widest footprint (units) that counts as thin
+const CAMERA_OCCLUDER_OPACITY = 0.25;
+const CAMERA_OCCLUDER_FADE_SPEED = 5;  // opacity per second
+const cameraCollision = {
+    distance: null,   // current (possibly pulled-in) distance from the look-at point
+    faded: new Map()  // 'meshUuid:instanceId' => { mesh, instanceId, matrix, proxy, chunkKey }
+};
 const DEFAULT_CAMERA_PITCH_DEG = 23;
+const DEFAULT_CAMERA_FOV = 45;
+const DEFAULT_PIXEL_RATIO_CAP = 1.5; // high-DPI displays are rendered at most at this ratio
+const DEFAULT_SHADOW_MAP_SIZE = 2048;
+
+// User settings, shown in the OPTIONS menu grouped by section. The constants above are the
+// defaults; setSetting() validates a value against its entry and applies it immediately.
+const SETTINGS_SECTIONS = ['gameplay', 'controls', 'camera', 'graphics', 'audio'];
+const SETTINGS_SCHEMA = {
+    gameMode: {
+        section: 'gameplay', label: 'Game mode', type: 'select', default: 'freeroam',
+        options: Object.keys(GAME_MODES).map(mode => ({ value: mode, label: GAME_MODES[mode].label }))
+    },
+    pointerSensitivity: { section: 'controls', label: 'Mouse sensitivity', type: 'range', min: 0.0005, max: 0.005, step: 0.0001, default: POINTER_SENSITIVITY },
+    invertY: { section: 'controls', label: 'Invert Y', type: 'toggle', default: false },
+    gamepadLookSensitivity: { section: 'controls', label: 'Stick look speed', type: 'range', min: 0.25, max: 3, step: 0.05, default: 1 },
+    gamepadDeadzone: { section: 'controls', label: 'Stick deadzone', type: 'range', min: 0.05, max: 0.4, step: 0.01, default: GAMEPAD_STICK_DEADZONE },
+    touchLookSensitivity: { section: 'controls', label: 'Touch look speed', type: 'range', min: 0.25, max: 3, step: 0.05, default: 1 },
+    fov: { section: 'camera', label: 'Field of view', type: 'range', min: 35, max: 90, step: 1, default: DEFAULT_CAMERA_FOV },
+    cameraFollowDistance: { section: 'camera', label: 'Follow distance', type: 'range', ...CAMERA_DISTANCE_RANGE, step: 0.1, default: DEFAULT_CAMERA_FOLLOW_DISTANCE },
+    cameraFollowHeight: { section: 'camera', label: 'Follow height', type: 'range', ...CAMERA_HEIGHT_RANGE, step: 0.05, default: DEFAULT_CAMERA_FOLLOW_HEIGHT },
+    pitchMin: { section: 'camera', label: 'Look down limit', type: 'range', min: -60, max: 0, step: 1, default: CAMERA_PITCH_RANGE_DEG.min },
+    pitchMax: { section: 'camera', label: 'Look up limit', type: 'range', min: 10, max: 80, step: 1, default: CAMERA_PITCH_RANGE_DEG.max },
+    fadeOccluders: { section: 'camera', label: 'Fade obstacles', type: 'toggle', default: true },
+    // Capped below FAR_CHUNK_RADIUS - 1 so the full-detail ring and its hysteresis stay inside the far ring
+    chunkRadius: { section: 'graphics', label: 'View distance', type: 'range', min: 1, max: 3, step: 1, default: CHUNK_RADIUS },
+    windows: { section: 'graphics', label: 'Lit windows', type: 'toggle', default: ENABLE_WINDOWS },
+    shadowMapSize: {
+        section: 'graphics', label: 'Shadows', type: 'select', default: DEFAULT_SHADOW_MAP_SIZE,
+        options: [{ value: 0, label: 'Off' }, { value: 1024, label: 'Low' }, { value: 2048, label: 'High' }, { value: 4096, label: 'Ultra' }]
+    },
+    pixelRatioCap: { section: 'graphics', label: 'Resolution cap', type: 'range', min: 0.5, max: 2, step: 0.25, default: DEFAULT_PIXEL_RATIO_CAP },
+    masterVolume: { section: 'audio', label: 'Master volume', type: 'range', min: 0, max: 1, step: 0.05, default: 1 }
+};
+if (IS_TOUCH_DEVICE) {
+    Object.keys(TOUCH_RENDER_PROFILE).forEach(key => { SETTINGS_SCHEMA[key].default = TOUCH_RENDER_PROFILE[key]; });
+}
+const settings = {};
+Object.keys(SETTINGS_SCHEMA).forEach(key => { settings[key] = SETTINGS_SCHEMA[key].default; });
 // Initialize pitch from default value (ignore saved preferences)
 cameraPitch = DEFAULT_CAMERA_PITCH_DEG * Math.PI / 180;
 
 // Audio context for sound effects
 let audioContext = null;
+let audioOutput = null; // master gain every sound connects to (settings.masterVolume)
 let errorSoundBuffer = null;
 
 // Function to initialize audio context (must be called after user interaction)
 function initAudioContext() {
     if (!audioContext) {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        audioOutput = audioContext.createGain();
+        audioOutput.gain.value = settings.masterVolume;
+        audioOutput.connect(audioContext.destination);
         // Load a generic error sound (replace with your own URL if needed)
         fetch('https://interactive-examples.mdn.mozilla.net/media/cc0-audio/error-01.wav')
             .then(response => response.arrayBuffer())
@@ -127,9 +791,112 @@ function playErrorSound() {
     if (audioContext && errorSoundBuffer) {
         const source = audioContext.createBufferSource();
         source.buffer = errorSoundBuffer;
-        source.connect(audioContext.destination);
+        source.connect(audioOutput);
+        source.start(0);
+    }
+}
+
+// Looping rain ambience synthesized from filtered noise (no asset download needed)
+let rainAmbience = null;
+function updateRainAmbience(level) {
+    if (!audioContext) return;
+    if (!rainAmbience) {
+        if (level <= 0.001) return;
+        const length = audioContext.sampleRate * 2;
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        const highpass = audioContext.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 400;
+        const lowpass = audioContext.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 2500;
+        const gain = audioContext.createGain();
+        gain.gain.value = 0;
+        source.connect(highpass).connect(lowpass).connect(gain).connect(audioOutput);
         source.start(0);
+        rainAmbience = { source, gain };
+    }
+    rainAmbience.gain.gain.setTargetAtTime(level * 0.18, audioContext.currentTime, 0.3);
+}
+
+// Short synthesized gunshot: a noise burst with a fast decay through a low-pass filter
+function playGunshotSound(volume = 0.5) {
+    if (!audioContext) return;
+    const length = Math.floor(audioContext.sampleRate * 0.25);
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 4);
+    }
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    const lowpass = audioContext.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = 3000;
+    const gain = audioContext.createGain();
+    gain.gain.value = volume;
+    source.connect(lowpass).connect(gain).connect(audioOutput);
+    source.start(0);
+}
+
+// Minimal publish/subscribe hub for gameplay systems. on() returns an unsubscribe function.
+function createEventBus() {
+    const listeners = new Map();
+    return {
+        on(type, handler) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(handler);
+            return () => this.off(type, handler);
+        },
+        off(type, handler) {
+            listeners.get(type)?.delete(handler);
+        },
+        emit(type, detail = {}) {
+            (listeners.get(type) || []).forEach(function(handler) {
+                try {
+                    handler(detail);
+                } catch (e) {
+                    console.error(`Game event handler for "${type}" failed:`, e);
+                }
+            });
+        }
+    };
+}
+const gameEvents = createEventBus();
+
+// Wire gameplay systems to each other through the event bus
+function setupGameEvents() {
+    gameEvents.on('crime', onCrimeReported);
+    // Anything criminal nearby sends pedestrians running
+    gameEvents.on('crime', crime => reportDanger(crime.position, 15 + crime.heat * 10));
+    // The LOADOUT screen and the lobby preview follow the inventory
+    gameEvents.on('inventoryChanged', renderLoadoutScreen);
+    gameEvents.on('inventoryChanged', renderStore);
+    gameEvents.on('walletChanged', updateCoinDisplay);
+    gameEvents.on('walletChanged', renderStore);
+    setupPlayerStats();
+    // Persist the profile whenever any of it changes
+    ['walletChanged', 'inventoryChanged', 'loadoutChanged', 'settingsChanged', 'bindingsChanged', 'pedestrianKilled', 'playerDied', 'wantedLevelChanged']
+        .forEach(type => gameEvents.on(type, scheduleProfileSave));
+    gameEvents.on('loadoutChanged', function() {
+        renderLoadoutScreen();
+        if (!isInGame) updateLoadoutPreview();
+    });
+}
+
+// Report a criminal act. type is a CRIME_HEAT key; position defaults to the character.
+function reportCrime(type, position) {
+    if (!(type in CRIME_HEAT)) {
+        console.warn('Unknown crime type:', type);
+        return;
     }
+    const where = position || (character ? character.position.clone() : new THREE.Vector3());
+    gameEvents.emit('crime', { type, heat: CRIME_HEAT[type], position: where });
 }
 
 // Clear browser cache for GLB files to avoid stale models
@@ -160,7 +927,8 @@ function clearGLBCache() {
                 });
             }
 
-            // Also try to clear from localStorage/sessionStorage if used
+            // Also try to clear from localStorage/sessionStorage if used (only keys named
+            // after the GLB files; the saved profile under PROFILE_STORAGE_KEY is untouched)
             if (typeof Storage !== "undefined") {
                 try {
                     localStorage.removeItem(filename);
@@ -206,6 +974,7 @@ function init() {
     // Create scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x151515); // slightly brighter for visibility
+    scene.fog = new THREE.Fog(FOG_COLOR, FOG_NEAR, FOG_FAR);
     
     // Environment groups for easy switching
     lobbyGroup = new THREE.Group();
@@ -219,7 +988,7 @@ function init() {
     
     // Create camera
     camera = new THREE.PerspectiveCamera(
-        45,
+        settings.fov,
         window.innerWidth / window.innerHeight,
         0.1,
         1000
@@ -231,10 +1000,11 @@ function init() {
     );
     
     // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
+    // MSAA is skipped on touch devices along with the rest of TOUCH_RENDER_PROFILE
+    renderer = new THREE.WebGLRenderer({ antialias: !IS_TOUCH_DEVICE });
     renderer.setSize(window.innerWidth, window.innerHeight);
     // Cap pixel ratio for performance on high-DPI displays
-    renderer.setPixelRatio(Math.min(1.5, window.devicePixelRatio || 1));
+    renderer.setPixelRatio(Math.min(settings.pixelRatioCap, window.devicePixelRatio || 1));
     // Output color space and tone mapping
     if ('outputColorSpace' in renderer) {
         renderer.outputColorSpace = THREE.SRGBColorSpace;
@@ -277,9 +1047,20 @@ function init() {
 
     // Pointer lock and mouse look
     setupPointerLock();
+
+    // On-screen joystick, look area and buttons (touch devices only)
+    setupTouchControls();
+
+    // Gameplay systems listening on the event bus
+    setupGameEvents();
+    loadProfile();
     
     // Add window resize handler
     window.addEventListener('resize', onWindowResize);
+    // Flush a pending profile save before the page goes away
+    window.addEventListener('pagehide', function() {
+        if (profileSaveTimer) saveProfile();
+    });
     
     // Start animation loop
     animate();
@@ -288,58 +1069,402 @@ function init() {
     document.body.addEventListener('click', initAudioContext, { once: true });
 }
 
-// Keyboard input setup
+// Keyboard input setup: keys are translated to actions through inputBindings
 function setupInput() {
+    resetInputBindings();
     window.addEventListener('keydown', function(e) {
-        const key = e.key.toLowerCase();
-        // Ignore movement keys entirely when not in game (lobby)
-        if (!isInGame && (key === 'w' || key === 'a' || key === 's' || key === 'd' || key === 'shift')) {
-            e.preventDefault();
-            return;
-        }
-        if (key === 'w' || key === 'a' || key === 's' || key === 'd' || key === 'shift') {
-            keysPressed[key] = true;
-            e.preventDefault();
-            // Animation transitions handled in updateCharacterMovement() only
-        }
+        // Let text fields (e.g. the lobby seed input) receive typing untouched
+        if (isTextInputTarget(e.target)) return;
+        if (onInputCode(e.code, true) && isInGame) e.preventDefault();
     });
-    
     window.addEventListener('keyup', function(e) {
-        const key = e.key.toLowerCase();
-        // Ignore movement keys in lobby and ensure state is not set
-        if (!isInGame && (key === 'w' || key === 'a' || key === 's' || key === 'd' || key === 'shift')) {
-            keysPressed[key] = false;
-            e.preventDefault();
-            return;
+        if (isTextInputTarget(e.target)) return;
+        if (onInputCode(e.code, false) && isInGame) e.preventDefault();
+    });
+    // Losing focus swallows the key-ups; drop everything so nothing sticks
+    window.addEventListener('blur', clearInputState);
+    // Show the printed key for each code on non-QWERTY layouts (Chromium only)
+    navigator.keyboard?.getLayoutMap?.().then(map => { keyboardLayoutMap = map; }).catch(() => {});
+}
+
+function getDefaultBindings() {
+    const bindings = {};
+    Object.keys(INPUT_ACTIONS).forEach(action => { bindings[action] = [...INPUT_ACTIONS[action].bindings]; });
+    return bindings;
+}
+
+function resetInputBindings() {
+    applyInputBindings(getDefaultBindings());
+}
+
+// Replace every binding (missing actions get their defaults, unknown ones are dropped)
+function applyInputBindings(bindings) {
+    Object.keys(INPUT_ACTIONS).forEach(function(action) {
+        const saved = bindings && Array.isArray(bindings[action]) ? bindings[action] : INPUT_ACTIONS[action].bindings;
+        inputBindings[action] = [0, 1].map(i => (typeof saved[i] === 'string' ? saved[i] : null));
+    });
+    gameEvents.emit('bindingsChanged', { bindings: inputBindings });
+}
+
+// Which action and slot a code is bound to, if any (ignoring one action / slot)
+function findBindingConflict(code, exceptAction, exceptIndex) {
+    for (const action of Object.keys(inputBindings)) {
+        const index = inputBindings[action].indexOf(code);
+        if (index !== -1 && !(action === exceptAction && index === exceptIndex)) return { action, index };
+    }
+    return null;
+}
+
+// Bind a code to an action's primary (0) or alternate (1) slot; null clears the slot.
+// If the code is already used elsewhere nothing changes and the conflict is returned, unless
+// swap is set: then the other action takes over this slot's previous code.
+function rebindAction(action, index, code, { swap = false } = {}) {
+    if (!INPUT_ACTIONS[action] || (index !== 0 && index !== 1)) return { ok: false };
+    const previous = inputBindings[action][index];
+    const conflict = code ? findBindingConflict(code, action, index) : null;
+    if (conflict && !swap) return { ok: false, conflict };
+    if (conflict) inputBindings[conflict.action][conflict.index] = previous;
+    inputBindings[action][index] = code;
+    clearInputState();
+    gameEvents.emit('bindingsChanged', { bindings: inputBindings, action });
+    return { ok: true, conflict };
+}
+
+// Every code that triggers an action: its keyboard/mouse bindings plus its gamepad and touch buttons
+function getActionCodes(action) {
+    return [...(inputBindings[action] || []), GAMEPAD_BINDINGS[action], TOUCH_BINDINGS[action]].filter(Boolean);
+}
+
+function isActionActive(action) {
+    return getActionCodes(action).some(code => code && heldInputs.has(code));
+}
+
+// Feed a key, mouse, gamepad or touch button press/release. Returns true if the code is bound to anything.
+function onInputCode(code, down) {
+    const actions = Object.keys(inputBindings).filter(action => getActionCodes(action).includes(code));
+    const before = actions.map(isActionActive);
+    if (down) heldInputs.add(code);
+    else heldInputs.delete(code);
+    actions.forEach(function(action, i) {
+        const active = isActionActive(action);
+        if (active !== before[i]) onActionChanged(action, active);
+    });
+    return actions.length > 0;
+}
+
+// Release everything (pause, lobby, death, focus loss)
+function clearInputState() {
+    const active = Object.keys(inputBindings).filter(isActionActive);
+    heldInputs.clear();
+    active.forEach(action => onActionChanged(action, false));
+}
+
+// One-shot and hold actions. Movement and sprint are polled in updateCharacterMovement().
+function onActionChanged(action, active) {
+    gameEvents.emit('inputAction', { action, active });
+    if (!active) {
+        if (action === 'fire') weapon.triggerHeld = false;
+        if (action === 'aim') setAiming(false);
+        return;
+    }
+    if (!isInGame) return;
+    if (action === 'pause') {
+        pauseGame();
+        return;
+    }
+    if (player.dead || isPaused) return;
+    switch (action) {
+        case 'fire':
+            // Fire and aim only while the view is being steered (captured mouse or a gamepad)
+            if (!hasLookControl()) return;
+            weapon.triggerHeld = true;
+            fireWeapon();
+            break;
+        case 'aim':
+            if (hasLookControl()) setAiming(true);
+            break;
+        case 'jump': player.jumpBuffer = JUMP_BUFFER_TIME; break;
+        // Nothing in the city is interactable yet; world systems subscribe to this event
+        case 'interact': gameEvents.emit('playerInteract', { position: character.position.clone(), yaw: character.rotation.y }); break;
+        case 'reload': startReload(); break;
+        case 'weaponPrimary': selectWeaponSlot('primary'); break;
+        case 'weaponSidearm': selectWeaponSlot('sidearm'); break;
+        case 'weaponMelee': selectWeaponSlot('melee'); break;
+        case 'useMedkit': useMedkit(); break;
+    }
+}
+
+// Human-readable name for a binding
+function formatInputCode(code) {
+    if (!code) return '—';
+    const mouse = { Mouse0: 'Left Mouse', Mouse1: 'Middle Mouse', Mouse2: 'Right Mouse' };
+    if (mouse[code]) return mouse[code];
+    if (/^Mouse\d+$/.test(code)) return `Mouse ${Number(code.slice(5)) + 1}`;
+    if (/^Pad\d+$/.test(code)) return GAMEPAD_BUTTON_LABELS[Number(code.slice(3))] || `Button ${code.slice(3)}`;
+    const printed = keyboardLayoutMap && keyboardLayoutMap.get(code);
+    if (printed) return printed.toUpperCase();
+    const named = { ShiftLeft: 'L Shift', ShiftRight: 'R Shift', ControlLeft: 'L Ctrl', ControlRight: 'R Ctrl',
+        AltLeft: 'L Alt', AltRight: 'R Alt', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    if (named[code]) return named[code];
+    return code.replace(/^Key|^Digit|^Numpad/, m => (m === 'Numpad' ? 'Num ' : ''));
+}
+
+// Show the pause menu and release the mouse
+function pauseGame() {
+    if (!isInGame) return;
+    if (document.pointerLockElement === renderer.domElement) document.exitPointerLock?.();
+    const pauseMenu = document.getElementById('pause-menu');
+    if (pauseMenu) pauseMenu.style.display = 'flex';
+    isPaused = true;
+    clearInputState();
+    // Frames stop updating the weather while paused; the next update restores the rain
+    updateRainAmbience(0);
+}
+
+// True when a keyboard event is aimed at an editable field
+function isTextInputTarget(target) {
+    if (!target) return false;
+    const tag = (target.tagName || '').toUpperCase();
+    return tag === 'INPUT' || tag === 'TEXTAREA' || target.isContentEditable === true;
+}
+
+// The view is being steered by the mouse (pointer locked), a gamepad in use or drag-to-look
+function hasLookControl() {
+    return isPointerLocked || isGamepadActive() || touchState.active;
+}
+
+function isGamepadActive() {
+    return gamepadState.index !== null && performance.now() / 1000 - gamepadState.lastInput < GAMEPAD_ACTIVE_SECONDS;
+}
+
+// First connected gamepad, preferring the one already in use
+function getActiveGamepad() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const current = gamepadState.index !== null ? pads[gamepadState.index] : null;
+    if (current && current.connected) return current;
+    return pads.find(pad => pad && pad.connected) || null;
+}
+
+// Radial deadzone (rescaled so output starts from 0 at its edge), then the response curve
+function shapeStick(x, y, deadzone = settings.gamepadDeadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadzone) return { x: 0, y: 0 };
+    const amount = Math.pow(Math.min(1, (magnitude - deadzone) / (1 - deadzone)), GAMEPAD_STICK_CURVE);
+    return { x: x / magnitude * amount, y: y / magnitude * amount };
+}
+
+// Release every gamepad button the action layer still holds
+function releaseGamepadButtons() {
+    gamepadState.buttons.forEach(function(_, i) {
+        if (heldInputs.has(`Pad${i}`)) onInputCode(`Pad${i}`, false);
+    });
+}
+
+// Poll the gamepad once per frame (from animate). While a menu is open the pad moves the menu
+// focus; otherwise buttons go through the action layer and the sticks move and look.
+function pollGamepad(delta) {
+    const pad = getActiveGamepad();
+    if (!pad && gamepadState.index === null) return;
+    if (!pad || pad.index !== gamepadState.index) {
+        releaseGamepadButtons();
+        clearGamepadFocus();
+        gamepadState.buttons = [];
+        gamepadState.move = { x: 0, y: 0 };
+        gamepadState.look = { x: 0, y: 0 };
+        gamepadState.lastInput = -Infinity;
+        gamepadState.index = pad ? pad.index : null;
+        if (pad) console.log(`Gamepad connected: ${pad.id}`);
+        updateCrosshair();
+        if (!pad) return;
+    }
+
+    const pressed = pad.buttons.map(button => Boolean(button.pressed));
+    const axes = pad.axes;
+    const sticks = [shapeStick(axes[0] || 0, axes[1] || 0), shapeStick(axes[2] || 0, axes[3] || 0)];
+    // Mark the pad in use before its buttons reach the actions, so the first trigger pull fires
+    const wasActive = isGamepadActive();
+    if (pressed.some(Boolean) || sticks.some(stick => stick.x !== 0 || stick.y !== 0)) {
+        gamepadState.lastInput = performance.now() / 1000;
+    }
+    if (isGamepadActive() !== wasActive) updateCrosshair();
+    const menu = getActiveGamepadMenu();
+    if (menu) {
+        releaseGamepadButtons();
+        updateGamepadMenu(menu, pressed, axes, delta);
+    } else {
+        clearGamepadFocus();
+        pressed.forEach(function(down, i) {
+            if (down !== Boolean(gamepadState.buttons[i])) onInputCode(`Pad${i}`, down);
+        });
+    }
+    gamepadState.buttons = pressed;
+    gamepadState.move = menu ? { x: 0, y: 0 } : sticks[0];
+    gamepadState.look = menu ? { x: 0, y: 0 } : sticks[1];
+
+    // Right stick: same directions as the mouse (stick up looks up unless Y is inverted)
+    if (isInGame && !isPaused && !player.dead) {
+        const speed = settings.gamepadLookSensitivity * delta;
+        cameraYaw -= gamepadState.look.x * GAMEPAD_LOOK_SPEED.yaw * speed;
+        cameraPitch -= gamepadState.look.y * GAMEPAD_LOOK_SPEED.pitch * speed * (settings.invertY ? -1 : 1);
+        clampCameraPitch();
+    }
+}
+
+// Strongest analog movement input: the gamepad left stick or the touch joystick
+function getAnalogMove() {
+    const pad = gamepadState.move;
+    const touch = touchState.move;
+    return Math.hypot(touch.x, touch.y) > Math.hypot(pad.x, pad.y) ? touch : pad;
+}
+
+// Analog movement speed: walk up to GAMEPAD_RUN_START deflection, then blend towards a jog;
+// sprinting lifts full tilt to the keyboard sprint speed
+function getAnalogMoveSpeed(amount, sprinting) {
+    const run = Math.max(0, (amount - GAMEPAD_RUN_START) / (1 - GAMEPAD_RUN_START));
+    const speed = amount < GAMEPAD_RUN_START
+        ? MOVE_SPEED * amount / GAMEPAD_RUN_START
+        : MOVE_SPEED * (1 + (GAMEPAD_RUN_MULTIPLIER - 1) * run);
+    return sprinting ? Math.max(speed, MOVE_SPEED * SPRINT_MULTIPLIER * amount) : speed;
+}
+
+// Topmost open menu the D-pad can navigate, if any
+function getActiveGamepadMenu() {
+    return GAMEPAD_MENUS.find(function(menu) {
+        const element = document.getElementById(menu.id);
+        return element && element.getClientRects().length > 0;
+    }) || null;
+}
+
+// Visible, enabled controls inside a menu, in document order
+function getMenuFocusables(container) {
+    if (!container) return [];
+    return Array.from(container.querySelectorAll('button, input, select'))
+        .filter(el => !el.disabled && el.type !== 'file' && el.getClientRects().length > 0);
+}
+
+function setGamepadFocus(element) {
+    if (gamepadState.focused === element) return;
+    clearGamepadFocus();
+    gamepadState.focused = element;
+    if (!element) return;
+    element.classList.add('gamepad-focus');
+    element.focus?.({ preventScroll: true });
+    element.scrollIntoView?.({ block: 'nearest' });
+}
+
+function clearGamepadFocus() {
+    if (gamepadState.focused) gamepadState.focused.classList.remove('gamepad-focus');
+    gamepadState.focused = null;
+}
+
+// D-pad / left stick move the focus, A presses the focused control, B backs out of the menu
+// (Start also resumes from the pause menu)
+function updateGamepadMenu(menu, pressed, axes, delta) {
+    const items = getMenuFocusables(document.getElementById(menu.id));
+    if (!items.includes(gamepadState.focused)) setGamepadFocus(items[0] || null);
+
+    const justPressed = button => pressed[button] && !gamepadState.buttons[button];
+    if (justPressed(GAMEPAD_BUTTONS.A) && gamepadState.focused) {
+        gamepadState.focused.click();
+    } else if (justPressed(GAMEPAD_BUTTONS.B) || (justPressed(GAMEPAD_BUTTONS.START) && menu.id === 'pause-menu')) {
+        if (menu.back) document.getElementById(menu.back)?.click();
+    }
+
+    const stickX = axes[0] || 0;
+    const stickY = axes[1] || 0;
+    let direction = null;
+    if (pressed[GAMEPAD_BUTTONS.UP]) direction = 'up';
+    else if (pressed[GAMEPAD_BUTTONS.DOWN]) direction = 'down';
+    else if (pressed[GAMEPAD_BUTTONS.LEFT]) direction = 'left';
+    else if (pressed[GAMEPAD_BUTTONS.RIGHT]) direction = 'right';
+    else if (Math.max(Math.abs(stickX), Math.abs(stickY)) > 0.6) {
+        direction = Math.abs(stickX) > Math.abs(stickY) ? (stickX > 0 ? 'right' : 'left') : (stickY > 0 ? 'down' : 'up');
+    }
+
+    if (direction !== gamepadState.menuDirection) {
+        gamepadState.menuDirection = direction;
+        gamepadState.menuRepeat = GAMEPAD_MENU_REPEAT.delay;
+        if (direction) moveGamepadFocus(direction, items);
+    } else if (direction) {
+        gamepadState.menuRepeat -= delta;
+        if (gamepadState.menuRepeat <= 0) {
+            gamepadState.menuRepeat += GAMEPAD_MENU_REPEAT.interval;
+            moveGamepadFocus(direction, items);
         }
-        if (key === 'w' || key === 'a' || key === 's' || key === 'd' || key === 'shift') {
-            keysPressed[key] = false;
-            e.preventDefault();
-            // Animation transitions handled in updateCharacterMovement() only
+    }
+}
+
+// Move the focus to the nearest control in a direction. Left/right change a focused slider
+// or dropdown instead; up/down fall back to document order (wrapping) at the edge of a menu.
+function moveGamepadFocus(direction, items) {
+    const current = gamepadState.focused;
+    if (!current) return;
+    if ((direction === 'left' || direction === 'right') && stepGamepadControl(current, direction === 'right' ? 1 : -1)) return;
+
+    const vector = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] }[direction];
+    const from = current.getBoundingClientRect();
+    let best = null;
+    let bestScore = Infinity;
+    items.forEach(function(item) {
+        if (item === current) return;
+        const to = item.getBoundingClientRect();
+        const dx = (to.left + to.width / 2) - (from.left + from.width / 2);
+        const dy = (to.top + to.height / 2) - (from.top + from.height / 2);
+        const along = dx * vector[0] + dy * vector[1];
+        if (along <= 1) return;
+        // Prefer controls straight ahead over closer ones off to the side
+        const score = along + Math.abs(dx * vector[1] - dy * vector[0]) * 2;
+        if (score < bestScore) {
+            bestScore = score;
+            best = item;
         }
     });
+    if (!best && (direction === 'up' || direction === 'down')) {
+        const index = items.indexOf(current);
+        best = items[(index + (direction === 'down' ? 1 : items.length - 1)) % items.length];
+    }
+    if (best) setGamepadFocus(best);
+}
+
+// Step a slider or dropdown, firing the same events as the mouse would. Returns false for other controls.
+function stepGamepadControl(element, step) {
+    if (element.tagName === 'SELECT') {
+        const index = Math.max(0, Math.min(element.options.length - 1, element.selectedIndex + step));
+        if (index !== element.selectedIndex) {
+            element.selectedIndex = index;
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        return true;
+    }
+    if (element.type === 'range') {
+        if (step > 0) element.stepUp();
+        else element.stepDown();
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+    }
+    return false;
 }
 
 // Pointer lock and mouse-look setup
 function setupPointerLock() {
     const canvas = renderer.domElement;
-    const crosshair = document.getElementById('crosshair');
     const pauseMenu = document.getElementById('pause-menu');
 
     function onPointerLockChange() {
         isPointerLocked = document.pointerLockElement === canvas;
         if (isPointerLocked) {
-            // Keep crosshair hidden per request
-            crosshair.style.display = 'none';
             document.body.style.cursor = 'none';
             if (pauseMenu) pauseMenu.style.display = 'none';
             isPaused = false;
             // Ignore the first mouse delta to prevent sudden rotation spike
             skipNextMouseDelta = true;
         } else {
-            crosshair.style.display = 'none';
+            clearInputState();
+            setAiming(false);
+            weapon.triggerHeld = false;
             document.body.style.cursor = 'default';
         }
+        updateCrosshair();
     }
 
     function onPointerLockError() {
@@ -356,6 +1481,16 @@ function setupPointerLock() {
     document.addEventListener('pointerlockchange', onPointerLockChange, false);
     document.addEventListener('pointerlockerror', onPointerLockError, false);
 
+    // Mouse buttons go through the action bindings (only while the mouse is captured)
+    canvas.addEventListener('contextmenu', e => e.preventDefault());
+    document.addEventListener('mousedown', function(e) {
+        if (!isPointerLocked) return;
+        onInputCode(`Mouse${e.button}`, true);
+    });
+    document.addEventListener('mouseup', function(e) {
+        onInputCode(`Mouse${e.button}`, false);
+    });
+
     // Mouse move to rotate camera yaw/pitch
     document.addEventListener('mousemove', function(e) {
         if (!isPointerLocked) return;
@@ -366,26 +1501,139 @@ function setupPointerLock() {
         const dx = Math.max(-maxDelta, Math.min(maxDelta, e.movementX || 0));
         const dy = Math.max(-maxDelta, Math.min(maxDelta, e.movementY || 0));
 
-        cameraYaw -= dx * POINTER_SENSITIVITY; // invert to feel natural
-        cameraPitch -= dy * POINTER_SENSITIVITY;
-        // Clamp pitch using configured bounds (degrees -> radians)
-        const minPitch = CAMERA_PITCH_RANGE_DEG.min * Math.PI / 180;
-        const maxPitch = CAMERA_PITCH_RANGE_DEG.max * Math.PI / 180;
-        cameraPitch = Math.max(minPitch, Math.min(maxPitch, cameraPitch));
+        cameraYaw -= dx * settings.pointerSensitivity; // invert to feel natural
+        cameraPitch -= dy * settings.pointerSensitivity * (settings.invertY ? -1 : 1);
+        clampCameraPitch();
     });
+}
 
-    // ESC to show pause menu
-    window.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape' && isInGame) {
-            if (document.pointerLockElement === canvas) {
-                document.exitPointerLock?.();
-            }
-            if (pauseMenu) pauseMenu.style.display = 'flex';
-            isPaused = true;
+// Touch controls: the joystick appears under the thumb anywhere on the left half of the
+// screen, dragging on the right half turns the camera like the mouse does, and the buttons
+// feed TOUCH_BINDINGS codes (sprint and aim are toggles; sprint ends when the joystick is released)
+function setupTouchControls() {
+    const root = document.getElementById('touch-controls');
+    if (!IS_TOUCH_DEVICE || !root) return;
+    const moveZone = document.getElementById('touch-move-zone');
+    const lookZone = document.getElementById('touch-look-zone');
+    const joystick = document.getElementById('touch-joystick');
+    const knob = joystick ? joystick.querySelector('.knob') : null;
+    const findTouch = (e, id) => Array.from(e.changedTouches).find(touch => touch.identifier === id);
+    let origin = null;
+
+    function setJoystick(x, y) {
+        let dx = x - origin.x;
+        let dy = y - origin.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > TOUCH_JOYSTICK_RADIUS) {
+            dx *= TOUCH_JOYSTICK_RADIUS / distance;
+            dy *= TOUCH_JOYSTICK_RADIUS / distance;
+        }
+        if (knob) knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        touchState.move = shapeStick(dx / TOUCH_JOYSTICK_RADIUS, dy / TOUCH_JOYSTICK_RADIUS, TOUCH_JOYSTICK_DEADZONE);
+    }
+
+    moveZone?.addEventListener('touchstart', function(e) {
+        e.preventDefault();
+        if (touchState.joystickId !== null) return;
+        const touch = e.changedTouches[0];
+        touchState.joystickId = touch.identifier;
+        origin = { x: touch.clientX, y: touch.clientY };
+        if (joystick) {
+            joystick.style.left = `${origin.x}px`;
+            joystick.style.top = `${origin.y}px`;
+            joystick.classList.add('active');
         }
+        setJoystick(touch.clientX, touch.clientY);
+    }, { passive: false });
+    moveZone?.addEventListener('touchmove', function(e) {
+        const touch = findTouch(e, touchState.joystickId);
+        if (!touch) return;
+        e.preventDefault();
+        setJoystick(touch.clientX, touch.clientY);
+    }, { passive: false });
+    const endJoystick = function(e) {
+        if (!findTouch(e, touchState.joystickId)) return;
+        releaseTouchJoystick();
+    };
+    moveZone?.addEventListener('touchend', endJoystick);
+    moveZone?.addEventListener('touchcancel', endJoystick);
+
+    lookZone?.addEventListener('touchstart', function(e) {
+        e.preventDefault();
+        if (touchState.lookId !== null) return;
+        const touch = e.changedTouches[0];
+        touchState.lookId = touch.identifier;
+        touchState.lookLast = { x: touch.clientX, y: touch.clientY };
+    }, { passive: false });
+    lookZone?.addEventListener('touchmove', function(e) {
+        const touch = findTouch(e, touchState.lookId);
+        if (!touch) return;
+        e.preventDefault();
+        const dx = touch.clientX - touchState.lookLast.x;
+        const dy = touch.clientY - touchState.lookLast.y;
+        touchState.lookLast = { x: touch.clientX, y: touch.clientY };
+        if (!isInGame || isPaused || player.dead) return;
+        const speed = TOUCH_LOOK_SPEED * settings.touchLookSensitivity;
+        cameraYaw -= dx * speed;
+        cameraPitch -= dy * speed * (settings.invertY ? -1 : 1);
+        clampCameraPitch();
+    }, { passive: false });
+    const endLook = function(e) {
+        if (findTouch(e, touchState.lookId)) touchState.lookId = null;
+    };
+    lookZone?.addEventListener('touchend', endLook);
+    lookZone?.addEventListener('touchcancel', endLook);
+
+    root.querySelectorAll('.touch-btn').forEach(function(button) {
+        const code = button.dataset.code;
+        button.addEventListener('touchstart', function(e) {
+            e.preventDefault();
+            onInputCode(code, button.dataset.toggle ? !heldInputs.has(code) : true);
+        }, { passive: false });
+        const release = function(e) {
+            e.preventDefault();
+            if (!button.dataset.toggle) onInputCode(code, false);
+        };
+        button.addEventListener('touchend', release, { passive: false });
+        button.addEventListener('touchcancel', release, { passive: false });
+    });
+    // Light toggle buttons (sprint, aim) while their action is on (pause or focus loss also
+    // releases them)
+    const toggles = Array.from(root.querySelectorAll('.touch-btn[data-toggle]'));
+    gameEvents.on('inputAction', function({ action, active }) {
+        toggles.forEach(function(button) {
+            if (button.dataset.code === TOUCH_BINDINGS[action]) button.classList.toggle('active', active);
+        });
     });
 }
 
+// Recentre the joystick and stop moving (and sprinting)
+function releaseTouchJoystick() {
+    touchState.joystickId = null;
+    touchState.move = { x: 0, y: 0 };
+    const joystick = document.getElementById('touch-joystick');
+    if (joystick) {
+        joystick.style.left = '';
+        joystick.style.top = '';
+        joystick.classList.remove('active');
+        const knob = joystick.querySelector('.knob');
+        if (knob) knob.style.transform = '';
+    }
+    if (heldInputs.has(TOUCH_BINDINGS.sprint)) onInputCode(TOUCH_BINDINGS.sprint, false);
+}
+
+// Touch controls are shown only in the city (and only on touch devices)
+function setTouchControlsVisible(visible) {
+    const root = document.getElementById('touch-controls');
+    if (!IS_TOUCH_DEVICE || !root) return;
+    root.style.display = visible ? 'block' : 'none';
+    touchState.active = visible;
+    if (!visible) {
+        releaseTouchJoystick();
+        touchState.lookId = null;
+    }
+}
+
 // Helper: shortest angular difference [-PI, PI]
 function angleDelta(current, target) {
     let delta = target - current;
@@ -409,7 +1657,9 @@ function setupDebugTools() {
             'WebGL Info': getWebGLInfo(),
             'THREE.js Version': THREE.REVISION,
             'Attempted Path': MODEL_PATH,
-            'Absolute URL': new URL(MODEL_PATH, window.location.href).href
+            'Absolute URL': new URL(MODEL_PATH, window.location.href).href,
+            'World Seed': worldSeed,
+            'District': character ? getDistrictAt(character.position.x, character.position.z).name : 'n/a'
         };
         
         console.table(debugInfo);
@@ -433,6 +1683,72 @@ function setupDebugTools() {
         // Reload the model
         loadCharacterModel();
     });
+
+    // Debug controls panel (toggle with ~)
+    const debugPanel = document.getElementById('debug-panel');
+    window.addEventListener('keydown', function(e) {
+        if (e.code !== 'Backquote' || isTextInputTarget(e.target)) return;
+        if (!debugPanel) return;
+        const show = debugPanel.style.display === 'none';
+        debugPanel.style.display = show ? 'block' : 'none';
+        if (show) syncDebugTimeControls(true);
+    });
+
+    // Time-of-day controls for testing night content
+    const timeSlider = document.getElementById('debug-time');
+    const timeScaleSlider = document.getElementById('debug-timescale');
+    if (timeSlider) {
+        timeSlider.addEventListener('input', function() {
+            setTimeOfDay(parseFloat(this.value));
+            syncDebugTimeControls(true);
+        });
+    }
+    if (timeScaleSlider) {
+        timeScaleSlider.addEventListener('input', function() {
+            setTimeScale(parseFloat(this.value));
+            syncDebugTimeControls(true);
+        });
+    }
+
+    const trafficSlider = document.getElementById('debug-traffic');
+    if (trafficSlider) {
+        trafficSlider.value = trafficDensity;
+        trafficSlider.addEventListener('input', function() {
+            setTrafficDensity(parseFloat(this.value));
+        });
+    }
+
+    const crimeBtn = document.getElementById('debug-crime');
+    if (crimeBtn) {
+        crimeBtn.addEventListener('click', function() {
+            reportCrime('assault');
+        });
+    }
+
+    const weatherSelect = document.getElementById('debug-weather');
+    if (weatherSelect) {
+        weatherSelect.addEventListener('change', function() {
+            setWeather(this.value);
+        });
+    }
+}
+
+// Reflect the clock in the debug panel (throttled unless forced)
+let debugTimeSyncTimer = 0;
+function syncDebugTimeControls(force) {
+    const debugPanel = document.getElementById('debug-panel');
+    if (!debugPanel || debugPanel.style.display === 'none') return;
+    if (!force && ++debugTimeSyncTimer % 15 !== 0) return;
+    const timeSlider = document.getElementById('debug-time');
+    const timeScaleSlider = document.getElementById('debug-timescale');
+    const timeValue = document.getElementById('debug-time-value');
+    const timeScaleValue = document.getElementById('debug-timescale-value');
+    const hours = Math.floor(timeOfDay);
+    const minutes = Math.floor((timeOfDay - hours) * 60);
+    if (timeSlider && document.activeElement !== timeSlider) timeSlider.value = timeOfDay.toFixed(2);
+    if (timeScaleSlider && document.activeElement !== timeScaleSlider) timeScaleSlider.value = timeScale;
+    if (timeValue) timeValue.textContent = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    if (timeScaleValue) timeScaleValue.textContent = `${timeScale}x`;
 }
 
 // Get WebGL info for debugging
@@ -456,27 +1772,325 @@ function getWebGLInfo() {
 // Create lighting setup similar to the one in Blender
 function setupLighting() {
     // Balanced PBR lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.35);
+    ambientLight = new THREE.AmbientLight(0xffffff, 0.35);
     scene.add(ambientLight);
 
-    const hemi = new THREE.HemisphereLight(0xffffff, 0x333344, 0.6);
-    hemi.position.set(0, 10, 0);
-    scene.add(hemi);
+    hemiLight = new THREE.HemisphereLight(0xffffff, 0x333344, 0.6);
+    hemiLight.position.set(0, 10, 0);
+    scene.add(hemiLight);
+
+    // Key light doubles as sun/moon in the city (see updateDayNight)
+    sunLight = new THREE.DirectionalLight(0xffffff, 2.0);
+    sunLight.position.set(5, 6, 3);
+    sunLight.castShadow = settings.shadowMapSize > 0;
+    sunLight.shadow.mapSize.set(settings.shadowMapSize || DEFAULT_SHADOW_MAP_SIZE, settings.shadowMapSize || DEFAULT_SHADOW_MAP_SIZE);
+    sunLight.shadow.bias = -0.0001;
+    scene.add(sunLight);
+    scene.add(sunLight.target);
+
+    fillLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    fillLight.position.set(-6, 3, -2);
+    scene.add(fillLight);
+
+    rimLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    rimLight.position.set(0, 4, -6);
+    scene.add(rimLight);
+
+    // Fixed pool of street lamp lights: a constant light count avoids shader recompiles
+    for (let i = 0; i < STREET_LIGHT_POOL_SIZE; i++) {
+        const light = new THREE.PointLight(0xffaa44, 0, 18, 2);
+        light.castShadow = false; // reduce shadow cost
+        scene.add(light);
+        streetLightPool.push(light);
+    }
+    muzzleFlashLight = new THREE.PointLight(0xffb060, 0, 8, 2);
+    scene.add(muzzleFlashLight);
+
+    skyDome = createSkyDome();
+    skyDome.visible = false;
+    scene.add(skyDome);
+
+    // Remember the lobby look so leaving the city can restore it
+    const shadowCam = sunLight.shadow.camera;
+    lobbyLightingState = {
+        background: scene.background.getHex(),
+        fog: scene.fog ? scene.fog.color.getHex() : null,
+        ambient: ambientLight.intensity,
+        hemi: hemiLight.intensity,
+        hemiSky: hemiLight.color.getHex(),
+        hemiGround: hemiLight.groundColor.getHex(),
+        sun: sunLight.intensity,
+        sunColor: sunLight.color.getHex(),
+        sunPosition: sunLight.position.clone(),
+        fill: fillLight.intensity,
+        rim: rimLight.intensity,
+        shadow: { left: shadowCam.left, right: shadowCam.right, top: shadowCam.top, bottom: shadowCam.bottom, far: shadowCam.far }
+    };
+}
+
+// Gradient sky dome for the city; follows the camera and ignores fog
+function createSkyDome() {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            topColor: { value: new THREE.Color(0x3f74c4) },
+            bottomColor: { value: new THREE.Color(0xbfd8f0) }
+        },
+        vertexShader: [
+            'varying vec3 vDirection;',
+            'void main() {',
+            '    vec4 worldPosition = modelMatrix * vec4( position, 1.0 );',
+            '    vDirection = worldPosition.xyz - cameraPosition;',
+            '    gl_Position = projectionMatrix * viewMatrix * worldPosition;',
+            '}'
+        ].join('\n'),
+        fragmentShader: [
+            'uniform vec3 topColor;',
+            'uniform vec3 bottomColor;',
+            'varying vec3 vDirection;',
+            'void main() {',
+            '    float h = normalize( vDirection ).y;',
+            '    gl_FragColor = vec4( mix( bottomColor, topColor, pow( clamp( h, 0.0, 1.0 ), 0.6 ) ), 1.0 );',
+            '}'
+        ].join('\n'),
+        side: THREE.BackSide,
+        depthWrite: false,
+        fog: false
+    });
+    const dome = new THREE.Mesh(new THREE.SphereGeometry(450, 24, 12), material);
+    dome.name = 'skyDome';
+    dome.renderOrder = -2;
+    dome.frustumCulled = false;
+    return dome;
+}
+
+// Interpolated SKY_KEYFRAMES values at an hour
+function sampleSkyKeyframes(hour) {
+    let i = 0;
+    while (i < SKY_KEYFRAMES.length - 2 && SKY_KEYFRAMES[i + 1].hour <= hour) i++;
+    const a = SKY_KEYFRAMES[i];
+    const b = SKY_KEYFRAMES[i + 1];
+    const t = Math.min(1, Math.max(0, (hour - a.hour) / (b.hour - a.hour)));
+    const color = (ka, kb) => new THREE.Color(ka).lerp(new THREE.Color(kb), t);
+    const num = (va, vb) => va + (vb - va) * t;
+    return {
+        skyTop: color(a.skyTop, b.skyTop),
+        skyBottom: color(a.skyBottom, b.skyBottom),
+        sun: color(a.sun, b.sun),
+        sunIntensity: num(a.sunIntensity, b.sunIntensity),
+        hemiSky: color(a.hemiSky, b.hemiSky),
+        hemiGround: color(a.hemiGround, b.hemiGround),
+        hemi: num(a.hemi, b.hemi),
+        ambient: num(a.ambient, b.ambient),
+        glow: num(a.glow, b.glow)
+    };
+}
+
+function setTimeOfDay(hours) {
+    timeOfDay = ((Number(hours) % 24) + 24) % 24;
+    if (isInGame) applyTimeOfDay();
+}
+
+function setTimeScale(scale) {
+    timeScale = Math.max(0, Number(scale) || 0);
+}
+
+// Advance the clock and relight the city
+function updateDayNight(delta) {
+    timeOfDay = (timeOfDay + delta * timeScale * 24 / DAY_LENGTH_SECONDS) % 24;
+    applyTimeOfDay();
+    streetLightRefreshTimer -= delta;
+    if (streetLightRefreshTimer <= 0) {
+        streetLightRefreshTimer = 0.25;
+        assignStreetLightPool();
+    }
+    syncDebugTimeControls();
+}
+
+// Apply the current timeOfDay to sun, sky, fog, lamps and windows
+function applyTimeOfDay() {
+    const sky = sampleSkyKeyframes(timeOfDay);
+    const center = character ? character.position : new THREE.Vector3();
+
+    // Sun arcs east (+x) to west through the zenith at noon; at night the key light is the moon
+    const angle = (timeOfDay - 6) / 12 * Math.PI;
+    const dir = new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0.35);
+    if (dir.y < -0.2) dir.negate(); // moon opposite the sun
+    dir.y = Math.max(0.08, dir.y); // keep the light above the horizon through dawn/dusk
+    dir.normalize();
+    sunLight.position.copy(center).addScaledVector(dir, 80);
+    sunLight.target.position.copy(center);
+    sunLight.color.copy(sky.sun);
+    sunLight.intensity = sky.sunIntensity * weather.light;
+    fillLight.intensity = sunLight.intensity * 0.2;
+    rimLight.intensity = sunLight.intensity * 0.2;
+
+    hemiLight.color.copy(sky.hemiSky);
+    hemiLight.groundColor.copy(sky.hemiGround);
+    hemiLight.intensity = sky.hemi * (0.5 + 0.5 * weather.light);
+    ambientLight.intensity = sky.ambient;
+
+    // Clouds wash the sky towards a grey of similar brightness
+    [sky.skyTop, sky.skyBottom].forEach(function(color) {
+        const grey = (color.r + color.g + color.b) / 3 * 0.85;
+        color.lerp(new THREE.Color(grey, grey, grey), weather.cloud);
+    });
+    skyDome.material.uniforms.topColor.value.copy(sky.skyTop);
+    skyDome.material.uniforms.bottomColor.value.copy(sky.skyBottom);
+    skyDome.position.copy(camera.position);
+    scene.background.copy(sky.skyBottom);
+    if (scene.fog) {
+        scene.fog.color.copy(sky.skyBottom);
+        scene.fog.near = weather.fogNear;
+        scene.fog.far = weather.fogFar;
+    }
+
+    windowGlowUniform.value = settings.windows ? sky.glow : 0;
+    getSharedMaterial('lampHead').emissiveIntensity = sky.glow >= 0.5 ? 2 * sky.glow : 0;
+    streetLightPool.forEach(light => { light.visible = sky.glow >= 0.5; });
+}
+
+// Move the pooled point lights onto the street lamps nearest the player
+function assignStreetLightPool() {
+    const center = character ? character.position : new THREE.Vector3();
+    const lamps = [];
+    loadedChunks.forEach(function(chunk) {
+        (chunk.userData.lamps || []).forEach(function(lamp) {
+            const dx = lamp.x - center.x;
+            const dz = lamp.z - center.z;
+            lamps.push({ lamp, distSq: dx * dx + dz * dz });
+        });
+    });
+    lamps.sort((a, b) => a.distSq - b.distSq);
+    streetLightPool.forEach(function(light, i) {
+        const entry = lamps[i];
+        if (!entry) {
+            light.intensity = 0;
+            return;
+        }
+        light.position.set(entry.lamp.lightX, 5.5, entry.lamp.lightZ);
+        light.intensity = STREET_LIGHT_INTENSITY;
+    });
+}
+
+// Switch from the fixed lobby lighting to the time-of-day rig
+function enterDayNightLighting() {
+    const shadowCam = sunLight.shadow.camera;
+    shadowCam.left = -40;
+    shadowCam.right = 40;
+    shadowCam.top = 40;
+    shadowCam.bottom = -40;
+    shadowCam.far = 200;
+    shadowCam.updateProjectionMatrix();
+    skyDome.visible = true;
+    streetLightRefreshTimer = 0;
+    applyTimeOfDay();
+    assignStreetLightPool();
+}
+
+// Restore the fixed lobby lighting captured in setupLighting()
+function applyLobbyLighting() {
+    const state = lobbyLightingState;
+    if (!state) return;
+    scene.background.setHex(state.background);
+    if (scene.fog && state.fog !== null) scene.fog.color.setHex(state.fog);
+    ambientLight.intensity = state.ambient;
+    hemiLight.intensity = state.hemi;
+    hemiLight.color.setHex(state.hemiSky);
+    hemiLight.groundColor.setHex(state.hemiGround);
+    sunLight.intensity = state.sun;
+    sunLight.color.setHex(state.sunColor);
+    sunLight.position.copy(state.sunPosition);
+    sunLight.target.position.set(0, 0, 0);
+    fillLight.intensity = state.fill;
+    rimLight.intensity = state.rim;
+    const shadowCam = sunLight.shadow.camera;
+    Object.assign(shadowCam, state.shadow);
+    shadowCam.updateProjectionMatrix();
+    skyDome.visible = false;
+    windowGlowUniform.value = 0;
+    streetLightPool.forEach(light => { light.visible = false; });
+    if (scene.fog) {
+        scene.fog.near = FOG_NEAR;
+        scene.fog.far = FOG_FAR;
+    }
+    if (rainSystem) rainSystem.visible = false;
+    updateRainAmbience(0);
+}
+
+// Start blending towards a weather state (immediate skips the transition)
+function setWeather(name, immediate = false) {
+    if (!WEATHER_STATES[name]) {
+        console.warn('Unknown weather state:', name);
+        return;
+    }
+    weatherName = name;
+    weatherFrom = Object.assign({}, weather);
+    weatherProgress = immediate ? 1 : 0;
+    if (immediate) Object.assign(weather, WEATHER_STATES[name]);
+}
 
-    const key = new THREE.DirectionalLight(0xffffff, 2.0);
-    key.position.set(5, 6, 3);
-    key.castShadow = true;
-    key.shadow.mapSize.set(2048, 2048);
-    key.shadow.bias = -0.0001;
-    scene.add(key);
+// Advance the weather transition and update rain, wet materials and ambience
+function updateWeather(delta) {
+    if (weatherProgress < 1) {
+        weatherProgress = Math.min(1, weatherProgress + delta / WEATHER_TRANSITION_SECONDS);
+        const t = weatherProgress * weatherProgress * (3 - 2 * weatherProgress);
+        const target = WEATHER_STATES[weatherName];
+        Object.keys(target).forEach(function(key) {
+            weather[key] = weatherFrom[key] + (target[key] - weatherFrom[key]) * t;
+        });
+    }
+
+    // Wet surfaces: lower roughness, slightly darker
+    WET_MATERIAL_KEYS.forEach(function(key) {
+        const material = getSharedMaterial(key);
+        const def = CITY_PALETTE[key];
+        material.roughness = def.roughness + (WET_ROUGHNESS - def.roughness) * weather.wetness;
+        material.color.setHex(def.color).multiplyScalar(1 - 0.25 * weather.wetness);
+    });
 
-    const fill = new THREE.DirectionalLight(0xffffff, 0.8);
-    fill.position.set(-6, 3, -2);
-    scene.add(fill);
+    updateRain(delta);
+    updateRainAmbience(weather.rain);
+}
+
+// Rain streaks in a box that follows the camera
+function createRainSystem() {
+    const positions = new Float32Array(RAIN_DROP_COUNT * 6);
+    for (let i = 0; i < RAIN_DROP_COUNT; i++) {
+        const x = (Math.random() * 2 - 1) * RAIN_AREA.halfWidth;
+        const y = Math.random() * RAIN_AREA.height;
+        const z = (Math.random() * 2 - 1) * RAIN_AREA.halfWidth;
+        positions.set([x, y, z, x, y + 0.5, z], i * 6);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({ color: 0x9fb4c8, transparent: true, opacity: 0, depthWrite: false });
+    const rain = new THREE.LineSegments(geometry, material);
+    rain.name = 'rain';
+    rain.frustumCulled = false;
+    rain.visible = false;
+    return rain;
+}
 
-    const rim = new THREE.DirectionalLight(0xffffff, 0.8);
-    rim.position.set(0, 4, -6);
-    scene.add(rim);
+function updateRain(delta) {
+    if (!rainSystem) {
+        if (weather.rain <= 0.001) return;
+        rainSystem = createRainSystem();
+        scene.add(rainSystem);
+    }
+    rainSystem.visible = weather.rain > 0.01;
+    if (!rainSystem.visible) return;
+    rainSystem.material.opacity = 0.35 * weather.rain;
+    // The box is re-centred on the camera; drops wrap around inside it
+    rainSystem.position.set(camera.position.x, camera.position.y - RAIN_AREA.height / 2, camera.position.z);
+    const positions = rainSystem.geometry.attributes.position.array;
+    const fall = RAIN_FALL_SPEED * delta;
+    for (let i = 0; i < positions.length; i += 6) {
+        let y = positions[i + 1] - fall;
+        if (y < 0) y += RAIN_AREA.height;
+        positions[i + 1] = y;
+        positions[i + 4] = y + 0.5;
+    }
+    rainSystem.geometry.attributes.position.needsUpdate = true;
 }
 
 // Create a ground plane to represent the road
@@ -505,6 +2119,22 @@ function createGround() {
     lobbyGroup.add(line);
 }
 
+// Dispose geometries/materials under root, leaving shared cache resources alone
+function disposeObjectTree(root) {
+    root.traverse?.(function(node) {
+        if (node.isInstancedMesh) node.dispose?.();
+        if (node.geometry && !node.geometry.userData?.shared) node.geometry.dispose?.();
+        if (node.material) {
+            const mats = Array.isArray(node.material) ? node.material : [node.material];
+            mats.forEach(m => {
+                if (m.userData?.shared) return;
+                m.map?.dispose?.();
+                m.dispose?.();
+            });
+        }
+    });
+}
+
 // Create a city environment
 function createCity() {
     console.log('Creating city environment...');
@@ -525,45 +2155,54 @@ function createCity() {
     while (cityGroup.children.length > 0) {
         const child = cityGroup.children.pop();
         if (child) {
-            // Dispose geometries/materials if present
-            if (child.traverse) {
-                child.traverse(function(node) {
-                    if (node.geometry) node.geometry.dispose?.();
-                    if (node.material) {
-                        if (Array.isArray(node.material)) {
-                            node.material.forEach(m => m.dispose?.());
-                        } else {
-                            node.material.dispose?.();
-                        }
-                    }
-                });
-            }
+            disposeObjectTree(child);
             cityGroup.remove(child);
         }
     }
 
     // Reset chunk tracking
     loadedChunks.clear();
+    trafficSignals.clear();
+    signalClock = 0;
+    clearColliders();
+    resetChunkQueues();
     lastChunkX = null;
     lastChunkZ = null;
 
     // Load initial chunks around origin to ensure ground exists
     console.log('Loading initial city chunks around origin...');
-    for (let x = -1; x <= 1; x++) {
-        for (let z = -1; z <= 1; z++) {
-            const chunkKey = `${x},${z}`;
-            if (!loadedChunks.has(chunkKey)) {
-                const chunk = buildCityChunk(x, z);
-                loadedChunks.set(chunkKey, chunk);
-                cityGroup.add(chunk);
-                // initial chunk loaded
+    for (let x = -settings.chunkRadius; x <= settings.chunkRadius; x++) {
+        for (let z = -settings.chunkRadius; z <= settings.chunkRadius; z++) {
+            if (!loadedChunks.has(`${x},${z}`)) {
+                loadCityChunk(x, z);
             }
         }
     }
 
+    // Skyline ring beyond the far chunks (drawn from the world seed)
+    skylineImpostor = createSkylineImpostor();
+    cityGroup.add(skylineImpostor);
+
+    // Take the lobby preview weapons off before the crowd clones the character
+    clearLoadoutPreview();
+    equipWeapon(null);
+
+    // Ambient cars on the loaded streets and pedestrians on the sidewalks
+    initTraffic();
+    initCrowd();
+    clearWantedLevel();
+    resetPlayerState();
+    const hud = document.getElementById('hud');
+    if (hud) hud.style.display = 'block';
+    setTouchControlsVisible(true);
+
     cityGroup.visible = true;
     console.log('City environment created successfully');
+    gameMode = settings.gameMode;
     isInGame = true;
+    resetWeaponAmmo();
+    applyLoadout();
+    enterDayNightLighting();
 }
 
 // Return to lobby: restore UI, hide city, show lobby ground
@@ -573,25 +2212,9 @@ function returnToLobby() {
     if (pauseMenu) pauseMenu.style.display = 'none';
     isPaused = false;
 
-    // Ensure any walk animation is stopped in the lobby
-    if (walkAction && isWalkingActive) {
-        walkAction.fadeOut(0.15);
-        // Remove the setTimeout and immediately stop the walk animation
-        walkAction.stop();
-        isWalkingActive = false;
-    }
-    // Ensure idle is playing in lobby (visual consistency)
-    if (idleAction) {
-        idleAction.reset();
-        idleAction.fadeIn(0.15).play();
-    }
-
-    // Clear any movement key states to prevent residual input
-    keysPressed['w'] = false;
-    keysPressed['a'] = false;
-    keysPressed['s'] = false;
-    keysPressed['d'] = false;
-    keysPressed['shift'] = false;
+    // Release every held action to prevent residual input
+    clearInputState();
+    updateRainAmbience(0);
 
     // Exit pointer lock
     document.exitPointerLock?.();
@@ -602,20 +2225,31 @@ function returnToLobby() {
     if (lobbyGroup) lobbyGroup.visible = true;
 
     // Hide and clear city
+    loadedChunks.clear();
+    trafficSignals.clear();
+    clearColliders();
+    resetChunkQueues();
     if (cityGroup) {
         cityGroup.visible = false;
         while (cityGroup.children.length > 0) {
             const child = cityGroup.children.pop();
             if (!child) continue;
-            child.traverse?.(function(node) {
-                if (node.geometry) node.geometry.dispose?.();
-                if (node.material) {
-                    if (Array.isArray(node.material)) node.material.forEach(m => m.dispose?.());
-                    else node.material.dispose?.();
-                }
-            });
+            disposeObjectTree(child);
         }
+        skylineImpostor = null;
     }
+    vehicles = [];
+    vehicleFleet = null;
+    clearCrowd();
+    clearWantedLevel();
+    equipWeapon(null);
+    clearImpactDecals();
+    resetPlayerState();
+    const deathScreen = document.getElementById('death-screen');
+    if (deathScreen) deathScreen.style.display = 'none';
+    const hud = document.getElementById('hud');
+    if (hud) hud.style.display = 'none';
+    setTouchControlsVisible(false);
 
     // Harden: ensure character is visible and correctly parented back to lobby
     if (character) {
@@ -631,26 +2265,24 @@ function returnToLobby() {
             character.visible = true;
             // Safety: reset transform to a known good state in the lobby
             character.position.set(0, 0.1, 0);
-            character.rotation.y = 0;
+            character.rotation.set(0, 0, 0);
         } catch (e) {
             console.warn('Return-to-lobby character restore warning:', e);
         }
     }
 
     // Ensure animation state is idle in lobby
-    try { mixer?.stopAllAction?.(); } catch (e) {}
-    if (idleAction) {
-        idleAction.reset();
-        idleAction.fadeIn(0.15).play();
-    }
-    isWalkingActive = false;
+    resetLocomotion();
+    resetCameraCollision();
 
     // Reset camera
     camera.position.set(DEFAULT_CAMERA_POS.x, DEFAULT_CAMERA_POS.y, DEFAULT_CAMERA_POS.z);
     controls.target.set(0, 1, 0);
     controls.update();
 
+    applyLobbyLighting();
     isInGame = false;
+    updateLoadoutPreview();
 }
 
 // Create city blocks with buildings
@@ -658,972 +2290,4262 @@ function createCityBlocks() {
     // Deprecated in favor of chunk streaming
 }
 
-// Create individual building
-function createBuilding(x, z, blockSize) {
-    const buildingHeight = Math.random() * 12 + 6; // Slightly narrower range for stability
-    const buildingWidth = blockSize * (0.6 + Math.random() * 0.4); // Vary width
-    const buildingDepth = blockSize * (0.6 + Math.random() * 0.4); // Vary depth
+// Create street lights: instanced lamp posts at the given positions ({ x, z, rotation }).
+// Real light comes from the pooled point lights placed by assignStreetLightPool().
+function createStreetLights(lampPositions) {
+    const lights = createPropInstances(lampPositions.map(pos => ({
+        type: 'streetLamp', x: pos.x, z: pos.z, rotation: pos.rotation || 0
+    })));
+    lights.name = 'streetLights';
+    return lights;
+}
+
+// Signal poles on the four corners of a chunk's intersection. Each head sits on the far
+// right corner for one approach and faces the oncoming traffic. Returns the static poles
+// plus one InstancedMesh of lamps (red, yellow, green per head) recoloured by the signal.
+function createTrafficLights(layout) {
+    const { node } = layout;
+    const group = new THREE.Group();
+    group.name = 'trafficLights';
+    group.add(createPropInstances(layout.signals));
 
-    const buildingGeometry = new THREE.BoxGeometry(buildingWidth, buildingHeight, buildingDepth);
+    const lamps = createChunkInstancedMesh(
+        getPropShapeGeometry('sphere'), getSharedMaterial('signalLamp'), layout.signals.length * 3
+    );
+    lamps.name = 'signalLamps';
+    const matrix = new THREE.Matrix4();
+    const headMatrix = new THREE.Matrix4();
+    layout.signals.forEach(function(signal, i) {
+        headMatrix.makeRotationY(signal.rotation).setPosition(signal.x, 0, signal.z);
+        ['red', 'yellow', 'green'].forEach(function(color, j) {
+            matrix.makeScale(0.22, 0.22, 0.22).setPosition(0, 3.2 - j * 0.3 - 0.11, 0.16);
+            lamps.setMatrixAt(i * 3 + j, matrix.premultiply(headMatrix));
+            lamps.setColorAt(i * 3 + j, new THREE.Color(SIGNAL_LAMP_COLORS[color]));
+        });
+    });
+    lamps.instanceMatrix.needsUpdate = true;
+    group.add(lamps);
+    group.userData.signal = createSignalController(node, layout.signals, lamps);
+    return group;
+}
 
-    // Random building materials
-    const materials = [
-        new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.8, metalness: 0.1 }), // Concrete
-        new THREE.MeshStandardMaterial({ color: 0x8b4513, roughness: 0.7, metalness: 0.0 }), // Brown brick
-        new THREE.MeshStandardMaterial({ color: 0x708090, roughness: 0.6, metalness: 0.2 }), // Blue-gray
-        new THREE.MeshStandardMaterial({ color: 0x2f4f4f, roughness: 0.9, metalness: 0.0 }), // Dark slate
+// Phase list for an intersection: each axis gets green, yellow, then an all-red clearance
+function getSignalCycle(node) {
+    const green = roadClass => roadClass === ROAD_CLASSES.avenue ? SIGNAL_TIMING.avenueGreen : SIGNAL_TIMING.streetGreen;
+    return [
+        { ns: 'green', ew: 'red', duration: green(node.ns) },
+        { ns: 'yellow', ew: 'red', duration: SIGNAL_TIMING.yellow },
+        { ns: 'red', ew: 'red', duration: SIGNAL_TIMING.allRed },
+        { ns: 'red', ew: 'green', duration: green(node.ew) },
+        { ns: 'red', ew: 'yellow', duration: SIGNAL_TIMING.yellow },
+        { ns: 'red', ew: 'red', duration: SIGNAL_TIMING.allRed }
     ];
+}
+
+// Signal state machine for one intersection. The starting phase is derived from the shared
+// signalClock plus a seeded per-node offset, so a chunk that streams back in resumes where
+// it would have been and neighbouring intersections are not all in lockstep.
+function createSignalController(node, heads, lamps) {
+    const phases = getSignalCycle(node);
+    const cycleLength = phases.reduce((sum, phase) => sum + phase.duration, 0);
+    const offset = (hashChunkSeed(worldSeed ^ 0x516e, node.ix, node.iz) / 4294967296) * cycleLength;
+    const signal = { node, phases, heads, lamps, phaseIndex: 0, timer: 0 };
+    let t = (signalClock + offset) % cycleLength;
+    while (t >= phases[signal.phaseIndex].duration) {
+        t -= phases[signal.phaseIndex].duration;
+        signal.phaseIndex++;
+    }
+    signal.timer = phases[signal.phaseIndex].duration - t;
+    refreshSignalLamps(signal);
+    return signal;
+}
+
+// Light the lamp of each head that matches its approach's current colour
+function refreshSignalLamps(signal) {
+    const phase = signal.phases[signal.phaseIndex];
+    const color = new THREE.Color();
+    signal.heads.forEach(function(head, i) {
+        ['red', 'yellow', 'green'].forEach(function(name, j) {
+            color.setHex(SIGNAL_LAMP_COLORS[name]);
+            if (phase[head.axis] !== name) color.multiplyScalar(SIGNAL_LAMP_DIM);
+            signal.lamps.setColorAt(i * 3 + j, color);
+        });
+    });
+    signal.lamps.instanceColor.needsUpdate = true;
+}
+
+// Advance every loaded intersection's signal
+function updateTrafficSignals(delta) {
+    signalClock += delta;
+    trafficSignals.forEach(function(signal) {
+        signal.timer -= delta;
+        let changed = false;
+        while (signal.timer <= 0) {
+            signal.phaseIndex = (signal.phaseIndex + 1) % signal.phases.length;
+            signal.timer += signal.phases[signal.phaseIndex].duration;
+            changed = true;
+        }
+        if (changed) refreshSignalLamps(signal);
+    });
+}
 
-    const buildingMaterial = materials[Math.floor(Math.random() * materials.length)];
+// Current signal at intersection (ix, iz), or null if its chunk is not loaded.
+// ns / ew are 'green' | 'yellow' | 'red' for traffic travelling along that axis; walk.ns /
+// walk.ew say whether pedestrians walking along that axis may cross the other street.
+function getSignalState(ix, iz) {
+    const signal = trafficSignals.get(`${ix},${iz}`);
+    if (!signal) return null;
+    const phase = signal.phases[signal.phaseIndex];
+    return {
+        nodeId: signal.node.id,
+        ns: phase.ns,
+        ew: phase.ew,
+        remaining: signal.timer,
+        walk: { ns: phase.ns === 'green', ew: phase.ew === 'green' }
+    };
+}
+
+// Signal colour facing traffic that travels along an axis into the nearest intersection
+// to (x, z). Unloaded intersections report green so nothing waits on them forever.
+function getSignalAt(x, z, axis) {
+    const state = getSignalState(nearestStreetIndex(x), nearestStreetIndex(z));
+    return state ? state[axis] : 'green';
+}
+
+// Instanced meshes for up to MAX_VEHICLES cars, one per VEHICLE_PARTS entry
+function createVehicleFleet() {
+    const group = new THREE.Group();
+    group.name = 'vehicles';
+    group.userData.parts = VEHICLE_PARTS.map(function(part) {
+        const mesh = new THREE.InstancedMesh(getUnitBoxGeometry(), getSharedMaterial(part.material), MAX_VEHICLES);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        mesh.frustumCulled = false; // instances move around the whole streamed area
+        mesh.castShadow = false;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+        return mesh;
+    });
+    return group;
+}
+
+// Start ambient traffic for a freshly built city
+function initTraffic() {
+    vehicles = [];
+    vehicleSpawnTimer = 0;
+    vehicleFleet = createVehicleFleet();
+    cityGroup.add(vehicleFleet);
+    spawnVehicles(true);
+    updateVehicleInstances();
+}
+
+// Set how many cars drive around (0 = none, 1 = default, 2 = heavy)
+function setTrafficDensity(value) {
+    const density = Number(value);
+    if (!Number.isFinite(density)) return;
+    trafficDensity = Math.max(0, Math.min(2, density));
+}
+
+function targetVehicleCount() {
+    let fullChunks = 0;
+    loadedChunks.forEach(chunk => { if (chunk.userData.lod === 'full') fullChunks++; });
+    return Math.min(MAX_VEHICLES - MAX_POLICE_UNITS, Math.round(trafficDensity * VEHICLES_PER_CHUNK * fullChunks));
+}
+
+// World position of a point on a lane
+function lanePoint(axis, line, offset, along) {
+    const lineCoord = streetLineCoord(line);
+    return axis === 'ns' ? { x: lineCoord + offset, z: along } : { x: along, z: lineCoord + offset };
+}
 
-    const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
-    building.position.set(x, buildingHeight / 2, z);
-    building.castShadow = true;
-    building.receiveShadow = true;
-    cityGroup.add(building);
+// Index of the next street line a car meets travelling in direction dir from `along`
+function nextCrossingIndex(along, dir) {
+    const f = (along - CHUNK_SIZE / 2) / CHUNK_SIZE;
+    return dir > 0 ? Math.floor(f) + 1 : Math.ceil(f) - 1;
+}
 
-    // Optional: windows are performance-heavy; toggle via ENABLE_WINDOWS
-    if (ENABLE_WINDOWS) {
-        addBuildingWindows(building, buildingWidth, buildingHeight, buildingDepth);
+// Fill loaded chunks up to the density target. Outside the initial fill, cars only appear
+// away from the player so they do not pop in under the camera.
+function spawnVehicles(initial) {
+    const target = targetVehicleCount();
+    const chunks = Array.from(loadedChunks.values()).filter(chunk => chunk.userData.lod === 'full');
+    let attempts = initial ? target * 4 : 6;
+    while (civilianVehicleCount() < target && attempts-- > 0 && chunks.length > 0) {
+        const chunk = chunks[Math.floor(Math.random() * chunks.length)];
+        const vehicle = placeVehicle(chunk, initial ? 0 : 25);
+        if (vehicle && initial) vehicle.speed = VEHICLE_CRUISE_SPEED[getStreetClass(vehicle.axis, vehicle.line).name];
     }
 }
 
-// Add windows to building
-function addBuildingWindows(building, width, height, depth) {
-    const windowSize = 0.8;
-    const windowSpacing = 2;
-    const windowsPerFloor = Math.floor(width / windowSpacing);
-    const floors = Math.floor(height / windowSpacing);
+function civilianVehicleCount() {
+    return vehicles.reduce((count, v) => count + (v.police ? 0 : 1), 0);
+}
 
-    for (let floor = 1; floor < floors; floor++) {
-        for (let window = 0; window < windowsPerFloor; window++) {
-            // Front face windows
-            if (Math.random() > 0.3) { // 70% chance of window
-                const windowGeometry = new THREE.PlaneGeometry(windowSize, windowSize);
-                const windowMaterial = new THREE.MeshBasicMaterial({
-                    color: Math.random() > 0.5 ? 0xffff88 : 0x000000,
-                    transparent: true,
-                    opacity: 0.8
-                });
+// Put a car on a random lane of a full-detail chunk, at least minPlayerDistance from the
+// character and clear of other cars. Returns the new vehicle or null if the spot was taken.
+function placeVehicle(chunk, minPlayerDistance, police = false) {
+    const signal = chunk.userData.signal;
+    if (!signal || vehicles.length >= MAX_VEHICLES) return null;
+    const node = signal.node;
+    const axis = Math.random() < 0.5 ? 'ns' : 'ew';
+    const dir = Math.random() < 0.5 ? 1 : -1;
+    const roadClass = axis === 'ns' ? node.ns : node.ew;
+    const crossClass = axis === 'ns' ? node.ew : node.ns;
+    const lane = Math.floor(Math.random() * roadClass.lanesPerDirection);
+    const line = axis === 'ns' ? node.ix : node.iz;
+    const nodeCoord = axis === 'ns' ? node.z : node.x;
+    const clear = roadHalfWidth(crossClass) + 4;
+    const side = Math.random() < 0.5 ? 1 : -1;
+    const along = nodeCoord + side * (clear + Math.random() * (CHUNK_SIZE / 2 - clear - VEHICLE_LENGTH));
+    const pos = lanePoint(axis, line, getLaneOffsets(roadClass, axis, dir)[lane], along);
+    const tooClose = vehicles.some(v => Math.hypot(v.position.x - pos.x, v.position.z - pos.z) < VEHICLE_LENGTH * 2);
+    if (tooClose) return null;
+    if (character && Math.hypot(character.position.x - pos.x, character.position.z - pos.z) < minPlayerDistance) return null;
+    const vehicle = {
+        axis, dir, lane, line, along,
+        speed: 0,
+        position: new THREE.Vector3(pos.x, 0, pos.z),
+        heading: axis === 'ns' ? (dir > 0 ? 0 : Math.PI) : (dir > 0 ? Math.PI / 2 : -Math.PI / 2),
+        turn: null,
+        nextTurn: null,
+        committed: null,
+        police,
+        responding: police,
+        color: new THREE.Color(police ? POLICE_PAINT : VEHICLE_COLORS[Math.floor(Math.random() * VEHICLE_COLORS.length)]),
+        chunkKey: node.id
+    };
+    vehicles.push(vehicle);
+    return vehicle;
+}
 
-                const window = new THREE.Mesh(windowGeometry, windowMaterial);
-                window.position.set(
-                    (window - windowsPerFloor/2) * windowSpacing,
-                    floor * windowSpacing - height/2 + windowSpacing/2,
-                    depth/2 + 0.01
-                );
-                building.add(window);
-            }
+// Drop every car currently inside a chunk (called when the chunk unloads)
+function despawnVehiclesInChunk(key) {
+    vehicles = vehicles.filter(v => v.chunkKey !== key);
+}
 
-            // Back face windows
-            if (Math.random() > 0.3) {
-                const backWindowGeometry = new THREE.PlaneGeometry(windowSize, windowSize);
-                const backWindowMaterial = new THREE.MeshBasicMaterial({
-                    color: Math.random() > 0.5 ? 0xffff88 : 0x000000,
-                    transparent: true,
-                    opacity: 0.8
-                });
+// Pick straight / left / right for the coming intersection. Turns are only made from the
+// matching edge lane so cars from one approach never cut across each other.
+function chooseVehicleTurn(v) {
+    const roll = Math.random();
+    const lanes = getStreetClass(v.axis, v.line).lanesPerDirection;
+    if (roll < 0.2 && v.lane === lanes - 1) return 'right';
+    if (roll > 0.8 && v.lane === 0) return 'left';
+    return 'straight';
+}
 
-                const backWindow = new THREE.Mesh(backWindowGeometry, backWindowMaterial);
-                backWindow.position.set(
-                    (window - windowsPerFloor/2) * windowSpacing,
-                    floor * windowSpacing - height/2 + windowSpacing/2,
-                    -depth/2 - 0.01
-                );
-                backWindow.rotation.y = Math.PI;
-                building.add(backWindow);
+// Police route choice: take whichever exit heads most directly towards the character
+function choosePoliceTurn(v, node) {
+    if (!character) return 'straight';
+    const toX = character.position.x - node.x;
+    const toZ = character.position.z - node.z;
+    // Travel direction after each manoeuvre (right of +z is -x, right of +x is +z)
+    const forward = v.axis === 'ns' ? { x: 0, z: v.dir } : { x: v.dir, z: 0 };
+    const right = { x: -forward.z, z: forward.x };
+    const options = [
+        { choice: 'straight', x: forward.x, z: forward.z },
+        { choice: 'right', x: right.x, z: right.z },
+        { choice: 'left', x: -right.x, z: -right.z }
+    ];
+    let best = options[0];
+    let bestScore = -Infinity;
+    options.forEach(function(option) {
+        const score = option.x * toX + option.z * toZ;
+        if (score > bestScore) {
+            bestScore = score;
+            best = option;
+        }
+    });
+    return best.choice;
+}
+
+// Whether a car may enter an intersection already holding `occupant`. Cars from the same
+// approach follow each other; oncoming cars only share it when neither turns left.
+function vehiclePathsConflict(v, choice, occupant) {
+    if (occupant.axis !== v.axis) return true;
+    if (occupant.dir === v.dir) return false;
+    return choice === 'left' || occupant.choice === 'left';
+}
+
+// Build the curve through an intersection for the chosen manoeuvre
+function planVehicleTurn(v, crossIndex, choice) {
+    const inClass = getStreetClass(v.axis, v.line);
+    const crossAxis = v.axis === 'ns' ? 'ew' : 'ns';
+    const crossClass = getStreetClass(crossAxis, crossIndex);
+    const nodeCoord = streetLineCoord(crossIndex);
+    const inOffset = getLaneOffsets(inClass, v.axis, v.dir)[v.lane];
+    const p0 = lanePoint(v.axis, v.line, inOffset, nodeCoord - v.dir * roadHalfWidth(crossClass));
+    const next = { axis: v.axis, dir: v.dir, lane: v.lane, line: v.line };
+    if (choice !== 'straight') {
+        // Right of +z is -x and right of +x is +z (see getLaneOffsets)
+        const rightDir = v.axis === 'ns' ? -v.dir : v.dir;
+        next.axis = crossAxis;
+        next.dir = choice === 'right' ? rightDir : -rightDir;
+        next.line = crossIndex;
+        next.lane = choice === 'right' ? crossClass.lanesPerDirection - 1 : 0;
+    }
+    const outClass = getStreetClass(next.axis, next.line);
+    const outOffset = getLaneOffsets(outClass, next.axis, next.dir)[next.lane];
+    const exitCoord = (next.axis === v.axis ? nodeCoord : streetLineCoord(v.line)) +
+        next.dir * roadHalfWidth(next.axis === v.axis ? crossClass : inClass);
+    const p2 = lanePoint(next.axis, next.line, outOffset, exitCoord);
+    // Control point where the two lane lines meet (midpoint when going straight)
+    const p1 = choice === 'straight'
+        ? { x: (p0.x + p2.x) / 2, z: (p0.z + p2.z) / 2 }
+        : (v.axis === 'ns' ? { x: p0.x, z: p2.z } : { x: p2.x, z: p0.z });
+    const chord = Math.hypot(p2.x - p0.x, p2.z - p0.z);
+    const polygon = Math.hypot(p1.x - p0.x, p1.z - p0.z) + Math.hypot(p2.x - p1.x, p2.z - p1.z);
+    v.turn = { p0, p1, p2, t: 0, length: Math.max(0.1, (chord + polygon) / 2), straight: choice === 'straight', next, exitCoord };
+}
+
+// Distance to the nearest car (or the player) in front of a car, or Infinity
+function vehicleGapAhead(v) {
+    const forwardX = Math.sin(v.heading);
+    const forwardZ = Math.cos(v.heading);
+    let gap = Infinity;
+    const check = function(x, z, length, heading) {
+        // Oncoming cars pass by (the intersection rules keep their paths apart)
+        if (heading !== undefined && Math.cos(heading - v.heading) < -0.3) return;
+        const dx = x - v.position.x;
+        const dz = z - v.position.z;
+        const ahead = dx * forwardX + dz * forwardZ;
+        if (ahead <= 0 || ahead > 30) return;
+        const lateral = Math.abs(dx * forwardZ - dz * forwardX);
+        if (lateral > 1.6) return;
+        gap = Math.min(gap, ahead - VEHICLE_LENGTH / 2 - length / 2);
+    };
+    vehicles.forEach(other => { if (other !== v) check(other.position.x, other.position.z, VEHICLE_LENGTH, other.heading); });
+    if (character && isInGame) check(character.position.x, character.position.z, CHARACTER_COLLISION_RADIUS * 2);
+    crowdPool.forEach(npc => { if (npc.active) check(npc.root.position.x, npc.root.position.z, PEDESTRIAN_RADIUS * 2); });
+    return gap;
+}
+
+// Highest speed from which a car can still stop within `distance`
+function stoppingSpeed(distance) {
+    return Math.sqrt(2 * VEHICLE_BRAKING * Math.max(0, distance));
+}
+
+function updateVehicle(v, delta) {
+    let target = v.turn ? VEHICLE_TURN_SPEED : VEHICLE_CRUISE_SPEED[getStreetClass(v.axis, v.line).name];
+    if (v.responding && !v.turn) target = POLICE_CHASE_SPEED;
+
+    if (!v.turn) {
+        const crossIndex = nextCrossingIndex(v.along, v.dir);
+        const crossAxis = v.axis === 'ns' ? 'ew' : 'ns';
+        const crossHalf = roadHalfWidth(getStreetClass(crossAxis, crossIndex));
+        const nodeCoord = streetLineCoord(crossIndex);
+        const toEntry = (nodeCoord - v.dir * crossHalf - v.along) * v.dir;
+        const toStopLine = toEntry - 2.6; // behind the crosswalk
+        const node = v.axis === 'ns' ? getRoadNode(v.line, crossIndex) : getRoadNode(crossIndex, v.line);
+        if (!v.nextTurn || v.nextTurn.nodeId !== node.id) {
+            v.nextTurn = { nodeId: node.id, choice: v.responding ? choosePoliceTurn(v, node) : chooseVehicleTurn(v) };
+        }
+        if (v.responding) {
+            // Units on a call run the lights and pull up behind the player
+            if (character && v.position.distanceTo(character.position) < POLICE_STOP_DISTANCE) target = 0;
+            if (toStopLine <= v.speed * v.speed / (2 * VEHICLE_BRAKING) + 0.5 && !v.committed) {
+                v.committed = { nodeId: node.id, axis: v.axis, dir: v.dir, choice: v.nextTurn.choice };
             }
+        } else if (!v.committed) {
+            const state = getSignalState(node.ix, node.iz);
+            const color = state ? state[v.axis] : 'green';
+            const occupants = intersectionOccupants.get(node.id) || [];
+            const mustStop = color === 'red' ||
+                (color === 'yellow' && toStopLine >= v.speed * v.speed / (2 * VEHICLE_BRAKING)) ||
+                occupants.some(o => vehiclePathsConflict(v, v.nextTurn.choice, o));
+            if (mustStop) {
+                target = Math.min(target, stoppingSpeed(toStopLine - 0.3));
+            } else if (toStopLine <= v.speed * v.speed / (2 * VEHICLE_BRAKING) + 0.5) {
+                // Too close to stop comfortably: hold the intersection until through it
+                v.committed = { nodeId: node.id, axis: v.axis, dir: v.dir, choice: v.nextTurn.choice };
+                occupants.push(v.committed);
+                intersectionOccupants.set(node.id, occupants);
+            }
+        }
+        if (toEntry <= 0) planVehicleTurn(v, crossIndex, v.nextTurn.choice);
+    }
+
+    target = Math.min(target, stoppingSpeed(vehicleGapAhead(v) - VEHICLE_MIN_GAP));
+    if (target > v.speed) v.speed = Math.min(target, v.speed + VEHICLE_ACCELERATION * delta);
+    else v.speed = Math.max(target, v.speed - VEHICLE_BRAKING * 2 * delta);
+
+    const step = v.speed * delta;
+    if (v.turn) {
+        const turn = v.turn;
+        turn.t = Math.min(1, turn.t + step / turn.length);
+        const t = turn.t;
+        const a = (1 - t) * (1 - t), b = 2 * (1 - t) * t, c = t * t;
+        v.position.x = a * turn.p0.x + b * turn.p1.x + c * turn.p2.x;
+        v.position.z = a * turn.p0.z + b * turn.p1.z + c * turn.p2.z;
+        // Face along the curve's tangent
+        const tx = (1 - t) * (turn.p1.x - turn.p0.x) + t * (turn.p2.x - turn.p1.x);
+        const tz = (1 - t) * (turn.p1.z - turn.p0.z) + t * (turn.p2.z - turn.p1.z);
+        if (tx !== 0 || tz !== 0) v.heading = Math.atan2(tx, tz);
+        if (turn.t >= 1) {
+            Object.assign(v, turn.next);
+            v.along = turn.exitCoord;
+            v.turn = null;
+            v.committed = null;
         }
+    } else {
+        v.along += v.dir * step;
+        const offset = getLaneOffsets(getStreetClass(v.axis, v.line), v.axis, v.dir)[v.lane];
+        const pos = lanePoint(v.axis, v.line, offset, v.along);
+        v.position.x = pos.x;
+        v.position.z = pos.z;
+        v.heading = v.axis === 'ns' ? (v.dir > 0 ? 0 : Math.PI) : (v.dir > 0 ? Math.PI / 2 : -Math.PI / 2);
     }
+    const { cx, cz } = worldToChunk(v.position.x, v.position.z);
+    v.chunkKey = `${cx},${cz}`;
 }
 
-// Create street lights
-function createStreetLights() {
-    const lightPositions = [
-        { x: -10, z: -10 }, { x: 10, z: -10 },
-        { x: -10, z: 10 }, { x: 10, z: 10 }
-    ];
+// Drive every car, retire cars that left the full-detail area and top up the population
+function updateTraffic(delta) {
+    if (!vehicleFleet) return;
+    intersectionOccupants = new Map();
+    vehicles.forEach(function(v) {
+        if (!v.committed) return;
+        if (!intersectionOccupants.has(v.committed.nodeId)) intersectionOccupants.set(v.committed.nodeId, []);
+        intersectionOccupants.get(v.committed.nodeId).push(v.committed);
+    });
+    vehicles.forEach(v => updateVehicle(v, delta));
+    vehicles = vehicles.filter(v => loadedChunks.get(v.chunkKey)?.userData.lod === 'full');
 
-    lightPositions.forEach(pos => {
-        // Street light pole
-        const poleGeometry = new THREE.CylinderGeometry(0.1, 0.1, 6);
-        const poleMaterial = new THREE.MeshStandardMaterial({ color: 0x444444 });
-        const pole = new THREE.Mesh(poleGeometry, poleMaterial);
-        pole.position.set(pos.x, 3, pos.z);
-        cityGroup.add(pole);
-
-        // Street light fixture
-        const fixtureGeometry = new THREE.SphereGeometry(0.3);
-        const fixtureMaterial = new THREE.MeshStandardMaterial({
-            color: 0x333333,
-            emissive: 0x222222
-        });
-        const fixture = new THREE.Mesh(fixtureGeometry, fixtureMaterial);
-        fixture.position.set(pos.x, 6.2, pos.z);
-        cityGroup.add(fixture);
+    vehicleSpawnTimer -= delta;
+    if (vehicleSpawnTimer <= 0) {
+        vehicleSpawnTimer = 0.5;
+        const target = targetVehicleCount();
+        if (character) {
+            // Thin out civilian cars over the target and off-duty police the player is not close to
+            let civilians = 0;
+            vehicles = vehicles.filter(function(v) {
+                if (v.responding || v.position.distanceTo(character.position) < 30) return true;
+                if (v.police) return false;
+                return ++civilians <= target;
+            });
+        }
+        spawnVehicles(false);
+    }
+    updateVehicleInstances();
+}
 
-        // Add point light
-        const streetLight = new THREE.PointLight(0xffaa44, 0.6, 16);
-        streetLight.position.set(pos.x, 6, pos.z);
-        streetLight.castShadow = false; // reduce shadow cost
-        cityGroup.add(streetLight);
+// Write every car's transform (and paint colour) into the fleet's instanced meshes
+function updateVehicleInstances() {
+    const carMatrix = new THREE.Matrix4();
+    const partMatrix = new THREE.Matrix4();
+    const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+    const parts = vehicleFleet.userData.parts;
+    const flash = Math.floor(signalClock * 4) % 2;
+    vehicles.forEach(function(v, i) {
+        carMatrix.makeRotationY(v.heading).setPosition(v.position.x, 0, v.position.z);
+        VEHICLE_PARTS.forEach(function(part, p) {
+            if (part.police && !v.police) {
+                parts[p].setMatrixAt(i, hidden);
+                return;
+            }
+            partMatrix.makeScale(part.size.w, part.size.h, part.size.d);
+            partMatrix.setPosition(part.offset.x, part.offset.y, part.offset.z);
+            parts[p].setMatrixAt(i, partMatrix.premultiply(carMatrix));
+            if (part.paint) parts[p].setColorAt(i, v.color);
+            if (part.police) parts[p].setColorAt(i, v.responding ? SIREN_COLORS[(flash + i) % 2] : SIREN_OFF);
+        });
+    });
+    parts.forEach(function(mesh, p) {
+        mesh.count = vehicles.length;
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
     });
 }
 
-// Create traffic lights
-function createTrafficLights() {
-    const trafficLightPositions = [
-        { x: -8, z: -8 }, { x: 8, z: -8 },
-        { x: -8, z: 8 }, { x: 8, z: 8 }
-    ];
+// Clone the player model into the crowd pool (once per game; the pool is reused)
+function createCrowdPool() {
+    if (crowdPool.length > 0 || !character) return;
+    if (!THREE.SkeletonUtils) {
+        console.warn('SkeletonUtils not available - pedestrians disabled');
+        return;
+    }
+    for (let i = 0; i < CROWD_BUDGET; i++) {
+        const root = THREE.SkeletonUtils.clone(character);
+        root.name = `pedestrian_${i}`;
+        root.visible = false;
+        root.position.set(0, 0.1, 0);
+        root.rotation.set(0, 0, 0);
+        root.traverse(function(node) {
+            if (node.isMesh) node.castShadow = false;
+        });
+        crowdGroup.add(root);
+        crowdPool.push({
+            root,
+            mixer: new THREE.AnimationMixer(root),
+            idleAction: null,
+            walkAction: null,
+            moving: false,
+            active: false
+        });
+    }
+}
 
-    trafficLightPositions.forEach(pos => {
-        // Traffic light pole
-        const poleGeometry = new THREE.CylinderGeometry(0.08, 0.08, 4);
-        const poleMaterial = new THREE.MeshStandardMaterial({ color: 0x222222 });
-        const pole = new THREE.Mesh(poleGeometry, poleMaterial);
-        pole.position.set(pos.x, 2, pos.z);
-        cityGroup.add(pole);
+// Set up the crowd for a freshly built city
+function initCrowd() {
+    if (!crowdGroup) {
+        crowdGroup = new THREE.Group();
+        crowdGroup.name = 'crowd';
+        scene.add(crowdGroup);
+    }
+    createCrowdPool();
+    crowdPool.forEach(releasePedestrian);
+    crowdGroup.visible = true;
+    crowdSpawnTimer = 0;
+    spawnPedestrians(true);
+}
 
-        // Traffic light box
-        const boxGeometry = new THREE.BoxGeometry(0.6, 1.2, 0.2);
-        const boxMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
-        const box = new THREE.Mesh(boxGeometry, boxMaterial);
-        box.position.set(pos.x, 4.5, pos.z);
-        cityGroup.add(box);
+// Hide the crowd and hand every pedestrian back to the pool
+function clearCrowd() {
+    crowdPool.forEach(releasePedestrian);
+    if (crowdGroup) crowdGroup.visible = false;
+}
 
-        // Traffic lights (red, yellow, green)
-        const lightSize = 0.15;
-        const lightGeometry = new THREE.SphereGeometry(lightSize);
+function releasePedestrian(npc) {
+    npc.active = false;
+    npc.root.visible = false;
+    npc.root.rotation.x = 0;
+    npc.mixer.stopAllAction();
+    npc.moving = false;
+}
 
-        const redLight = new THREE.Mesh(lightGeometry, new THREE.MeshBasicMaterial({ color: 0xff0000 }));
-        redLight.position.set(pos.x - 0.15, 4.8, pos.z + 0.11);
-        cityGroup.add(redLight);
+function activePedestrians() {
+    return crowdPool.filter(npc => npc.active);
+}
 
-        const yellowLight = new THREE.Mesh(lightGeometry, new THREE.MeshBasicMaterial({ color: 0xffff00 }));
-        yellowLight.position.set(pos.x, 4.5, pos.z + 0.11);
-        cityGroup.add(yellowLight);
+// Perpendicular distance of the walking line from a street's centreline
+function pedestrianLineOffset(roadClass) {
+    return roadHalfWidth(roadClass) + PEDESTRIAN_CURB_OFFSET;
+}
 
-        const greenLight = new THREE.Mesh(lightGeometry, new THREE.MeshBasicMaterial({ color: 0x00ff00 }));
-        greenLight.position.set(pos.x + 0.15, 4.2, pos.z + 0.11);
-        cityGroup.add(greenLight);
-    });
+// World position of a pedestrian from its sidewalk coordinates
+function pedestrianPosition(npc, target) {
+    const lineCoord = streetLineCoord(npc.line) +
+        npc.side * pedestrianLineOffset(getStreetClass(npc.axis, npc.line)) + npc.lateral;
+    if (npc.axis === 'ns') target.set(lineCoord, 0.1, npc.along);
+    else target.set(npc.along, 0.1, lineCoord);
+    return target;
 }
 
-// Create urban props (cars, benches, etc.)
-function createUrbanProps() {
-    // Reduce props density for performance
-    const carPositions = [ { x: -8, z: -4 }, { x: 8, z: 6 } ];
+// Fill nearby chunks up to their district's share of the crowd budget
+function spawnPedestrians(initial) {
+    if (!character || crowdPool.length === 0) return;
+    const free = crowdPool.filter(npc => !npc.active);
+    if (free.length === 0) return;
+    const home = worldToChunk(character.position.x, character.position.z);
+    const candidates = [];
+    for (let dx = -CROWD_CHUNK_RADIUS; dx <= CROWD_CHUNK_RADIUS; dx++) {
+        for (let dz = -CROWD_CHUNK_RADIUS; dz <= CROWD_CHUNK_RADIUS; dz++) {
+            const key = `${home.cx + dx},${home.cz + dz}`;
+            const chunk = loadedChunks.get(key);
+            if (!chunk || chunk.userData.lod !== 'full' || !chunk.userData.signal) continue;
+            const district = DISTRICTS[chunk.userData.district];
+            const want = Math.round(PEDESTRIANS_PER_CHUNK * (district ? district.pedestrians : 1));
+            const have = crowdPool.filter(npc => npc.active && npc.chunkKey === key).length;
+            for (let i = have; i < want; i++) candidates.push(chunk.userData.signal.node);
+        }
+    }
+    const spot = new THREE.Vector3();
+    let attempts = initial ? free.length * 3 : 3;
+    while (free.length > 0 && candidates.length > 0 && attempts-- > 0) {
+        const node = candidates.splice(Math.floor(Math.random() * candidates.length), 1)[0];
+        const axis = Math.random() < 0.5 ? 'ns' : 'ew';
+        const crossClass = axis === 'ns' ? node.ew : node.ns;
+        const clear = streetHalfWidth(crossClass) + 1;
+        const half = Math.random() < 0.5 ? 1 : -1;
+        const npc = free[free.length - 1];
+        Object.assign(npc, {
+            axis, line: axis === 'ns' ? node.ix : node.iz,
+            side: Math.random() < 0.5 ? 1 : -1,
+            along: (axis === 'ns' ? node.z : node.x) + half * (clear + Math.random() * (CHUNK_SIZE / 2 - clear)),
+            dir: Math.random() < 0.5 ? 1 : -1,
+            lateral: 0, speed: 0,
+            state: 'walk', timer: 3 + Math.random() * 8, health: 100,
+            decidedNode: null, chunkKey: node.id
+        });
+        pedestrianPosition(npc, spot);
+        if (!initial && spot.distanceTo(character.position) < 20) continue;
+        if (activePedestrians().some(other => other.root.position.distanceTo(spot) < 1.5)) continue;
+        free.pop();
+        npc.active = true;
+        npc.root.position.copy(spot);
+        npc.root.rotation.x = 0;
+        npc.root.visible = true;
+        npc.mixer.stopAllAction();
+        npc.moving = false;
+        setPedestrianMoving(npc, true);
+        if (npc.idleAction) npc.idleAction.time = Math.random() * npc.idleAction.getClip().duration;
+    }
+}
 
-    carPositions.forEach(pos => {
-        const carGeometry = new THREE.BoxGeometry(3, 1.2, 1.2);
-        const carMaterial = new THREE.MeshStandardMaterial({ color: Math.random() > 0.5 ? 0xff3333 : 0x3366ff });
-        const car = new THREE.Mesh(carGeometry, carMaterial);
-        car.position.set(pos.x, 0.6, pos.z);
-        car.castShadow = false;
-        cityGroup.add(car);
-    });
-    
-    const benchPositions = [ { x: -6, z: -6 }, { x: 6, z: 6 } ];
-    benchPositions.forEach(pos => {
-        const benchGeometry = new THREE.BoxGeometry(2, 0.1, 0.8);
-        const benchMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
-        const bench = new THREE.Mesh(benchGeometry, benchMaterial);
-        bench.position.set(pos.x, 0.4, pos.z);
-        cityGroup.add(bench);
-        const backrestGeometry = new THREE.BoxGeometry(2, 0.6, 0.1);
-        const backrest = new THREE.Mesh(backrestGeometry, benchMaterial);
-        backrest.position.set(pos.x, 0.7, pos.z - 0.35);
-        cityGroup.add(backrest);
+// Cross-fade a pedestrian between its idle and walk clips (bound lazily from the player's clips)
+function setPedestrianMoving(npc, moving) {
+    const { idle, walk } = locomotion.actions;
+    if (!npc.idleAction && idle) npc.idleAction = npc.mixer.clipAction(idle.getClip());
+    if (!npc.walkAction && walk) npc.walkAction = npc.mixer.clipAction(walk.getClip());
+    if (npc.moving === moving && (npc.idleAction?.isRunning() || npc.walkAction?.isRunning())) return;
+    npc.moving = moving;
+    const from = moving ? npc.idleAction : npc.walkAction;
+    const to = moving ? (npc.walkAction || npc.idleAction) : npc.idleAction;
+    if (!to) return;
+    if (from && from !== to && from.isRunning()) from.fadeOut(0.2);
+    to.reset().fadeIn(0.2).play();
+}
+
+// Make pedestrians near a point run away from it (gunshots, crashes, explosions)
+function reportDanger(position, radius = 25) {
+    crowdPool.forEach(function(npc) {
+        if (!npc.active || npc.state === 'dead') return;
+        const dx = npc.root.position.x - position.x;
+        const dz = npc.root.position.z - position.z;
+        if (dx * dx + dz * dz > radius * radius) return;
+        npc.state = 'flee';
+        npc.timer = 4 + Math.random() * 3;
+        const away = npc.axis === 'ns' ? dz : dx;
+        npc.dir = away === 0 ? (Math.random() < 0.5 ? 1 : -1) : Math.sign(away);
     });
 }
 
-// Create a simple test cube to verify 3D loading works
-function createTestCube() {
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
-    const material = new THREE.MeshStandardMaterial({ color: 0x00ff00 });
-    const cube = new THREE.Mesh(geometry, material);
-    cube.position.set(0, 0.5, 0);
-    cube.castShadow = true;
-    cube.receiveShadow = true;
-    scene.add(cube);
-    console.log('Test cube created successfully');
+// Apply damage to a pedestrian; at zero health it drops and is returned to the pool later
+function damagePedestrian(npc, amount) {
+    if (!npc.active || npc.state === 'dead') return;
+    npc.health -= amount;
+    gameEvents.emit('pedestrianDamaged', { npc, amount, position: npc.root.position.clone() });
+    if (npc.health > 0) {
+        reportDanger(npc.root.position, 20);
+        return;
+    }
+    npc.state = 'dead';
+    npc.timer = 8;
+    npc.speed = 0;
+    npc.mixer.stopAllAction();
+    npc.moving = false;
+    npc.root.rotation.x = -Math.PI / 2; // no death clip: lay the body flat
+    npc.root.position.y = 0.25;
+    gameEvents.emit('pedestrianKilled', { npc, position: npc.root.position.clone() });
+    reportCrime('murder', npc.root.position.clone());
 }
 
-// Load walk animation only (extract animation data without model)
-function loadWalkAnimationOnly() {
-    console.log('🔄 Loading walk animation data ONLY from walk.glb...');
-    console.log('⚠️ CRITICAL: This function will ONLY extract animations. NO models will be loaded.');
+// Decide what to do at the corner before the next crossing: cross, turn the corner or go back
+function pedestrianCornerChoice(npc, node) {
+    npc.decidedNode = node.id;
+    const roll = Math.random();
+    if (npc.state === 'flee' || roll < 0.45) return;
+    if (roll < 0.85) {
+        // Turn onto the other street's sidewalk, heading along our side of the block
+        const crossAxis = npc.axis === 'ns' ? 'ew' : 'ns';
+        const nodeCoord = npc.axis === 'ns' ? node.z : node.x;
+        const newSide = npc.along < nodeCoord ? -1 : 1;
+        const lineCoord = streetLineCoord(npc.line) + npc.side * pedestrianLineOffset(getStreetClass(npc.axis, npc.line));
+        const newDir = npc.side;
+        npc.axis = crossAxis;
+        npc.line = crossAxis === 'ns' ? node.ix : node.iz;
+        npc.side = newSide;
+        npc.along = lineCoord;
+        npc.dir = newDir;
+        npc.lateral = 0;
+        return;
+    }
+    npc.dir = -npc.dir;
+}
 
-    // Create a minimal loader that focuses only on animations
-    const animLoader = new THREE.GLTFLoader(loadingManager);
-    const draco2 = new THREE.DRACOLoader();
-    draco2.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
-    animLoader.setDRACOLoader(draco2);
+function updatePedestrian(npc, delta, neighbours) {
+    npc.timer -= delta;
+    if (npc.state === 'dead') {
+        if (npc.timer <= 0) releasePedestrian(npc);
+        return;
+    }
+    if (npc.state === 'flee' && npc.timer <= 0) {
+        npc.state = 'walk';
+        npc.timer = 4 + Math.random() * 8;
+    } else if (npc.state === 'walk' && npc.timer <= 0) {
+        npc.state = 'idle';
+        npc.timer = 2 + Math.random() * 4;
+    } else if (npc.state === 'idle' && npc.timer <= 0) {
+        npc.state = 'walk';
+        npc.timer = 4 + Math.random() * 10;
+        if (Math.random() < 0.3) npc.dir = -npc.dir;
+    }
 
-    // CRITICAL: Add cache-busting and allowlist enforcement
-    const timestamp = new Date().getTime();
-    const originalLoad = animLoader.load.bind(animLoader);
-    animLoader.load = function(url, onLoad, onProgress, onError) {
-        if (isForbiddenGLB(url) || !isApprovedGLB(url)) {
-            console.warn('Blocked non-approved GLB load attempt');
-            if (onError) onError(new Error('Non-approved GLB blocked'));
-            return;
-        }
-        const cacheBustedUrl = url + '?cache=' + timestamp;
-        return originalLoad(cacheBustedUrl, onLoad, onProgress, onError);
-    };
+    let speed = npc.state === 'flee' ? PEDESTRIAN_FLEE_SPEED : (npc.state === 'walk' ? PEDESTRIAN_WALK_SPEED : 0);
+
+    // Corner ahead: choose once per intersection, then wait for the walk signal before crossing
+    const crossAxis = npc.axis === 'ns' ? 'ew' : 'ns';
+    const crossIndex = nextCrossingIndex(npc.along, npc.dir);
+    const node = npc.axis === 'ns' ? getRoadNode(npc.line, crossIndex) : getRoadNode(crossIndex, npc.line);
+    const crossClass = crossAxis === 'ns' ? node.ns : node.ew;
+    const toCorner = ((npc.axis === 'ns' ? node.z : node.x) - npc.dir * pedestrianLineOffset(crossClass) - npc.along) * npc.dir;
+    if (speed > 0 && toCorner <= 0.05 && toCorner > -PEDESTRIAN_CURB_OFFSET && npc.decidedNode !== node.id) {
+        pedestrianCornerChoice(npc, node);
+        return updatePedestrian(npc, 0, neighbours);
+    }
+    if (speed > 0 && npc.state !== 'flee' && toCorner <= 0.05 && toCorner > -PEDESTRIAN_CURB_OFFSET) {
+        const signal = getSignalState(node.ix, node.iz);
+        if (signal && !signal.walk[npc.axis]) speed = 0;
+    }
 
-    console.log('🎯 Starting animation-only load from:', WALK_ANIM_PATH);
+    // Keep clear of other pedestrians and the player: slow for anyone ahead and sidestep
+    const position = npc.root.position;
+    const forwardX = npc.axis === 'ew' ? npc.dir : 0;
+    const forwardZ = npc.axis === 'ns' ? npc.dir : 0;
+    let lateralPush = 0;
+    neighbours.forEach(function(other) {
+        if (other === position) return;
+        const dx = other.x - position.x;
+        const dz = other.z - position.z;
+        const dist = Math.hypot(dx, dz);
+        if (dist > 2 || dist < 1e-4) return;
+        const ahead = dx * forwardX + dz * forwardZ;
+        const side = npc.axis === 'ns' ? dx : dz;
+        if (ahead > 0 && Math.abs(side) < 0.7) speed = Math.min(speed, Math.max(0, (ahead - 0.7) * 2));
+        lateralPush -= Math.sign(side || 1) * (2 - dist) * 0.5;
+    });
+    npc.lateral = Math.max(-0.5, Math.min(0.5, npc.lateral + lateralPush * delta));
+    npc.speed += (speed - npc.speed) * Math.min(1, delta * 6);
+    npc.along += npc.dir * npc.speed * delta;
+
+    // Slide around street furniture, then read the corrected position back into sidewalk terms
+    const before = pedestrianPosition(npc, new THREE.Vector3());
+    const after = before.clone();
+    resolveCircleCollisions(after, PEDESTRIAN_RADIUS, CHARACTER_COLLISION_HEIGHT);
+    if (npc.axis === 'ns') {
+        npc.lateral = Math.max(-0.5, Math.min(0.5, npc.lateral + (after.x - before.x)));
+        npc.along = after.z;
+    } else {
+        npc.lateral = Math.max(-0.5, Math.min(0.5, npc.lateral + (after.z - before.z)));
+        npc.along = after.x;
+    }
+    pedestrianPosition(npc, position);
+    npc.root.rotation.y = Math.atan2(forwardX, forwardZ);
 
-    animLoader.load(
-        WALK_ANIM_PATH,
-        function(animGltf) {
-            console.log('📦 Animation GLB loaded - IMMEDIATELY checking for scene data to destroy...');
+    setPedestrianMoving(npc, npc.speed > 0.3);
+    if (npc.walkAction) npc.walkAction.timeScale = Math.max(0.5, npc.speed / MOVE_SPEED * 2);
+    npc.mixer.update(delta);
 
-            // IMMEDIATE: Check if there's any scene data and destroy it BEFORE processing animations
-            if (animGltf.scene) {
-                console.log('🚨 DANGER: Found scene data in walk.glb - DESTROYING IMMEDIATELY to ensure animations-only load');
-                animGltf.scene.traverse(function(node) {
-                    if (node.geometry) {
-                        node.geometry.dispose();
-                        console.log('💀 Destroyed geometry:', node.name || 'unnamed');
-                    }
-                    if (node.material) {
-                        if (Array.isArray(node.material)) {
-                            node.material.forEach(m => m.dispose());
-                        } else {
-                            node.material.dispose();
-                        }
-                        console.log('💀 Destroyed material:', node.name || 'unnamed');
-                    }
-                });
-                // Extra safety: purge by name patterns
-                purgeForbiddenNodes(animGltf.scene);
-                console.log('✅ SUCCESS: All scene data from walk.glb DESTROYED - no models loaded!');
-            } else {
-                console.log('✅ No scene data found in walk.glb - safe to proceed');
-            }
+    const { cx, cz } = worldToChunk(position.x, position.z);
+    npc.chunkKey = `${cx},${cz}`;
+}
 
-            // NOW process animations after ensuring no model data exists
-            if (!mixer) mixer = new THREE.AnimationMixer(character);
+// Step the crowd, return far-away or unloaded pedestrians to the pool and top it up
+function updateCrowd(delta) {
+    if (crowdPool.length === 0 || !character) return;
+    const active = activePedestrians();
+    const neighbours = active.map(npc => npc.root.position).concat([character.position]);
+    active.forEach(function(npc) {
+        updatePedestrian(npc, delta, neighbours);
+        const chunk = loadedChunks.get(npc.chunkKey);
+        if (!chunk || chunk.userData.lod !== 'full' ||
+            npc.root.position.distanceTo(character.position) > CROWD_DESPAWN_DISTANCE) {
+            releasePedestrian(npc);
+        }
+    });
+    crowdSpawnTimer -= delta;
+    if (crowdSpawnTimer <= 0) {
+        crowdSpawnTimer = 0.5;
+        spawnPedestrians(false);
+    }
+}
 
-            if (animGltf.animations && animGltf.animations.length > 0) {
-                try {
-                    const walkClip = animGltf.animations.find(c => /walk|walking/i.test(c.name)) || animGltf.animations[0];
-                    walkAction = mixer.clipAction(walkClip);
-                    walkAction.loop = THREE.LoopRepeat;
-                    walkAction.enabled = true;
-                    walkAction.stop();
-                    console.log('🎬 SUCCESS: Walk animation extracted and ready (no models loaded)');
-                } catch (e) {
-                    console.warn('❌ Failed to setup walk animation:', e);
-                }
-            } else {
-                console.warn('❌ No animations found in walk.glb');
-            }
+// Return every pedestrian inside a chunk to the pool (called when the chunk unloads)
+function despawnPedestriansInChunk(key) {
+    crowdPool.forEach(npc => { if (npc.active && npc.chunkKey === key) releasePedestrian(npc); });
+}
 
-            // Final cleanup - ensure no references remain
-            if (animGltf.scene) {
-                animGltf.scene = null;
-            }
-            console.log('🛡️ PROTECTION: All walk.glb model data eliminated - only animations remain');
-        },
-        undefined,
-        function(err) {
-            console.error('❌ CRITICAL: Failed to load walk animation GLB:', err);
+// Raise the wanted level for a reported crime (subscribed to the 'crime' event)
+function onCrimeReported(crime) {
+    if (!isInGame) return;
+    const before = wanted.level;
+    wanted.heat = Math.min(MAX_WANTED_LEVEL, wanted.heat + crime.heat);
+    wanted.level = Math.max(wanted.level, Math.floor(wanted.heat));
+    wanted.cooldown = 0;
+    if (wanted.level !== before) {
+        gameEvents.emit('wantedLevelChanged', { level: wanted.level, previous: before });
+        updateWantedHud();
+    }
+}
+
+// Drop the wanted level to zero (new game, death, lobby)
+function clearWantedLevel() {
+    const before = wanted.level;
+    wanted.level = 0;
+    wanted.heat = 0;
+    wanted.cooldown = 0;
+    wanted.seen = false;
+    vehicles.forEach(v => { v.responding = false; });
+    if (before !== 0) gameEvents.emit('wantedLevelChanged', { level: 0, previous: before });
+    updateWantedHud();
+}
+
+// True if nothing tall blocks the straight line between two points (sampled every metre
+// against the collision volumes at roughly eye height)
+function hasLineOfSight(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const steps = Math.ceil(Math.hypot(dx, dz));
+    for (let i = 1; i < steps; i++) {
+        const x = from.x + dx * i / steps;
+        const z = from.z + dz * i / steps;
+        for (const v of queryColliders(x, z, 0)) {
+            if (v.maxY > 2 && x >= v.minX && x <= v.maxX && z >= v.minZ && z <= v.maxZ) return false;
         }
-    );
+    }
+    return true;
 }
 
-// Load character model
-function loadCharacterModel() {
-    console.log('Loading standing_idle.glb model...');
-    document.querySelector('.loading-text').textContent = 'Loading standing_idle.glb...';
-    
-    // Show loading screen if hidden
-    loadingScreen.style.display = 'flex';
-    
-    // Create GLTF loader with strict controls
-    const loader = new THREE.GLTFLoader(loadingManager);
-    // Also harden FileLoader to block at a lower level in three.js
-    if (THREE && THREE.FileLoader && !THREE.FileLoader.prototype.__covHardened) {
-        const originalFileLoaderLoad = THREE.FileLoader.prototype.load;
-        THREE.FileLoader.prototype.load = function(url, onLoad, onProgress, onError) {
-            try {
-                const s = typeof url === 'string' ? url : String(url);
-                if (s.toLowerCase().includes('.glb')) {
-                    if (isForbiddenGLB(s) || !isApprovedGLB(s)) {
-                        if (onError) onError(new Error('Non-approved GLB blocked'));
-                        return;
-                    }
-                }
-            } catch (e) {
-                // fallthrough
+// Police response: keep enough units chasing for the current level, and cool the level
+// down one star at a time while no unit can see the character
+function updateWanted(delta) {
+    if (!character) return;
+    const units = vehicles.filter(v => v.responding);
+    wanted.seen = units.some(v => v.position.distanceTo(character.position) < POLICE_SIGHT_RANGE &&
+        hasLineOfSight(v.position, character.position));
+
+    if (wanted.level > 0) {
+        if (wanted.seen) {
+            wanted.cooldown = 0;
+        } else {
+            wanted.cooldown += delta;
+            if (wanted.cooldown >= WANTED_COOLDOWN_SECONDS + WANTED_COOLDOWN_PER_STAR * wanted.level) {
+                const before = wanted.level;
+                wanted.level--;
+                wanted.heat = wanted.level;
+                wanted.cooldown = 0;
+                gameEvents.emit('wantedLevelChanged', { level: wanted.level, previous: before });
+                if (wanted.level === 0) vehicles.forEach(v => { v.responding = false; });
             }
-            return originalFileLoaderLoad.call(this, url, onLoad, onProgress, onError);
-        };
-        THREE.FileLoader.prototype.__covHardened = true;
+        }
     }
 
-    // CRITICAL: Ensure we only load standing_idle.glb, nothing else
-    const originalLoaderLoad = loader.load.bind(loader);
-    loader.load = function(url, onLoad, onProgress, onError) {
-        if (isForbiddenGLB(url) || !isApprovedGLB(url)) {
-            if (onError) onError(new Error('Non-approved GLB blocked'));
-            return;
+    // Top up (or stand down) units for the current level
+    const wantedUnits = Math.min(MAX_POLICE_UNITS, POLICE_UNITS_BY_LEVEL[wanted.level]);
+    for (let i = wantedUnits; i < units.length; i++) units[i].responding = false;
+    // Off-duty police cars still on the streets rejoin the chase first
+    vehicles.forEach(function(v) {
+        if (v.police && !v.responding && units.length < wantedUnits) {
+            v.responding = true;
+            units.push(v);
         }
-        return originalLoaderLoad(url, onLoad, onProgress, onError);
-    };
-    // Ensure high-quality texture sampling
-    loader.manager.onLoad = function() {
-        scene.traverse(function(node) {
-            if (node.isMesh) {
-                const mats = Array.isArray(node.material) ? node.material : [node.material];
-                mats.forEach(function(mat) {
-                    if (!mat) return;
-                    ['map','normalMap','metalnessMap','roughnessMap','emissiveMap','aoMap'].forEach(function(key) {
-                        const tex = mat[key];
-                        if (tex) {
-                            tex.anisotropy = Math.min(16, renderer.capabilities.getMaxAnisotropy?.() || 8);
-                            tex.minFilter = THREE.LinearMipmapLinearFilter;
-                            tex.magFilter = THREE.LinearFilter;
-                            tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-                            if ('colorSpace' in tex) tex.colorSpace = THREE.SRGBColorSpace;
-                            else tex.encoding = THREE.sRGBEncoding;
-                            tex.needsUpdate = true;
-                        }
-                    });
+    });
+    policeSpawnTimer -= delta;
+    if (units.length < wantedUnits && policeSpawnTimer <= 0) {
+        policeSpawnTimer = 1.5;
+        const chunks = Array.from(loadedChunks.values()).filter(function(chunk) {
+            if (chunk.userData.lod !== 'full' || !chunk.userData.signal) return false;
+            const node = chunk.userData.signal.node;
+            const distance = Math.hypot(node.x - character.position.x, node.z - character.position.z);
+            return distance >= POLICE_SPAWN_DISTANCE.min && distance <= POLICE_SPAWN_DISTANCE.max;
+        });
+        if (chunks.length > 0) placeVehicle(chunks[Math.floor(Math.random() * chunks.length)], POLICE_SPAWN_DISTANCE.min, true);
+    }
+    updateWantedHud();
+}
+
+// Stars on the HUD; they blink while the level is cooling down
+let wantedHudState = '';
+function updateWantedHud() {
+    const state = `${wanted.level}|${wanted.seen}`;
+    if (state === wantedHudState) return;
+    wantedHudState = state;
+    const stars = document.querySelectorAll('#wanted-level .star');
+    stars.forEach(function(star, i) {
+        star.classList.toggle('active', i < wanted.level);
+    });
+    const container = document.getElementById('wanted-level');
+    if (container) container.classList.toggle('cooling', wanted.level > 0 && !wanted.seen);
+}
+
+// Procedural weapon models (no weapon GLB is on the allowlist), built from the boxes in
+// WEAPONS[id].parts. Guns get a muzzle point at the barrel tip; flash: false leaves the muzzle
+// flash out (holstered preview copies never fire). The flash light itself is the shared
+// muzzleFlashLight, moved to the muzzle of the gun that fires.
+function createWeaponModel(id, { flash: withFlash = true } = {}) {
+    const def = WEAPONS[id];
+    const gun = new THREE.Group();
+    gun.name = id;
+    def.parts.forEach(function(part) {
+        const mesh = new THREE.Mesh(getUnitBoxGeometry(), getSharedMaterial(part.material));
+        mesh.scale.set(part.size[0], part.size[1], part.size[2]);
+        // Unit box has its base at y = 0
+        mesh.position.set(part.offset[0], part.offset[1] - part.size[1] / 2, part.offset[2]);
+        if (part.rotationX) mesh.rotation.x = part.rotationX;
+        mesh.castShadow = true;
+        gun.add(mesh);
+    });
+    if (!def.muzzle || !withFlash) return gun;
+
+    const muzzle = new THREE.Object3D();
+    muzzle.name = 'muzzle';
+    muzzle.position.set(def.muzzle[0], def.muzzle[1], def.muzzle[2]);
+    gun.add(muzzle);
+
+    // Muzzle flash: two crossed additive quads
+    const flashMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffc060, transparent: true, opacity: 0.9, blending: THREE.AdditiveBlending,
+        depthWrite: false, side: THREE.DoubleSide
+    });
+    const flashGeometry = new THREE.PlaneGeometry(0.18, 0.18);
+    const flash = new THREE.Group();
+    flash.name = 'muzzleFlash';
+    // Both quads contain the barrel axis so the flash reads from the side
+    const sideQuad = new THREE.Mesh(flashGeometry, flashMaterial);
+    sideQuad.rotation.y = Math.PI / 2;
+    const topQuad = new THREE.Mesh(flashGeometry, flashMaterial);
+    topQuad.rotation.x = Math.PI / 2;
+    flash.add(sideQuad, topQuad);
+    flash.visible = false;
+    muzzle.add(flash);
+    gun.userData.flash = flash;
+    gun.userData.muzzle = muzzle;
+    return gun;
+}
+
+// Right hand bone of the character rig, if it has one
+function findHandBone(root) {
+    let hand = null;
+    root.traverse(function(node) {
+        if (!hand && node.isBone && /right_?hand$|hand_?r$/i.test(node.name)) hand = node;
+    });
+    return hand;
+}
+
+// Reset ammunition for a new game
+function resetWeaponAmmo() {
+    weapon.ammo = {};
+    Object.keys(WEAPONS).forEach(function(id) {
+        if (WEAPONS[id].melee) return;
+        weapon.ammo[id] = { magazine: WEAPONS[id].magazineSize, reserve: WEAPONS[id].startingReserve };
+    });
+}
+
+// Put a weapon in the character's hand (null holsters)
+function equipWeapon(id) {
+    if (id && !WEAPONS[id]) {
+        console.warn('Unknown weapon:', id);
+        return;
+    }
+    if (weapon.model && weapon.model.parent) weapon.model.parent.remove(weapon.model);
+    weapon.id = id;
+    weapon.model = null;
+    weapon.reloadTimer = 0;
+    weapon.triggerHeld = false;
+    const def = WEAPONS[id];
+    if (def && !def.melee && !weapon.ammo[id]) weapon.ammo[id] = { magazine: def.magazineSize, reserve: def.startingReserve };
+    if (id && character) {
+        if (!weapon.models[id]) weapon.models[id] = createWeaponModel(id);
+        weapon.model = weapon.models[id];
+        const hand = findHandBone(character);
+        // No rig: hold it roughly at the right hip
+        attachWeaponModel(weapon.model, hand || character,
+            hand ? def.grip : { position: { x: -0.25, y: 1.0, z: 0.2 }, rotation: { x: 0, y: 0, z: 0 } });
+    }
+    if (!id || def.melee) setAiming(false);
+    gameEvents.emit('weaponEquipped', { id });
+    updateAmmoHud();
+}
+
+// Parent a weapon model to a bone or the character root. Placements are in metres, so the
+// rig's scale is cancelled out.
+function attachWeaponModel(model, parent, placement) {
+    parent.add(model);
+    model.position.set(placement.position.x, placement.position.y, placement.position.z);
+    model.rotation.set(placement.rotation.x, placement.rotation.y, placement.rotation.z);
+    character.updateMatrixWorld(true);
+    const parentScale = new THREE.Vector3();
+    parent.getWorldScale(parentScale);
+    model.position.divideScalar(parentScale.x || 1);
+    model.scale.setScalar(1 / (parentScale.x || 1));
+}
+
+function setAiming(aiming) {
+    weapon.aiming = Boolean(aiming && weapon.id && !WEAPONS[weapon.id].melee && isInGame && !isPaused && !player.dead);
+    updateCrosshair();
+}
+
+// Crosshair is shown only while aiming a weapon with the pointer locked (or on a gamepad)
+function updateCrosshair() {
+    const crosshair = document.getElementById('crosshair');
+    if (!crosshair) return;
+    crosshair.style.display = weapon.aiming && hasLookControl() ? 'block' : 'none';
+}
+
+function startReload() {
+    const def = WEAPONS[weapon.id];
+    if (!def || def.melee || weapon.reloadTimer > 0) return;
+    const ammo = weapon.ammo[weapon.id];
+    if (ammo.magazine >= def.magazineSize || ammo.reserve <= 0) return;
+    weapon.reloadTimer = def.reloadTime;
+    gameEvents.emit('weaponReloadStarted', { id: weapon.id });
+    updateAmmoHud();
+}
+
+// Fire one round: hitscan from the camera through the crosshair against nearby city
+// meshes and pedestrians, whichever is closer
+function fireWeapon() {
+    const def = WEAPONS[weapon.id];
+    if (!def || !character || !isInGame || isPaused || player.dead) return;
+    if (weapon.cooldown > 0 || weapon.reloadTimer > 0) return;
+    if (def.melee) {
+        meleeAttack(def);
+        return;
+    }
+    const ammo = weapon.ammo[weapon.id];
+    if (ammo.magazine <= 0) {
+        startReload();
+        return;
+    }
+    ammo.magazine--;
+    weapon.cooldown = def.fireInterval;
+    weapon.flashTimer = 0.05;
+    playGunshotSound();
+
+    const direction = new THREE.Vector3();
+    camera.getWorldDirection(direction);
+    direction.x += (Math.random() - 0.5) * def.spread * 2;
+    direction.y += (Math.random() - 0.5) * def.spread * 2;
+    direction.normalize();
+    // Start the ray level with the character so nothing behind the player is hit
+    const skip = Math.max(0, camera.position.clone().sub(character.position).dot(direction) * -1);
+    const raycaster = new THREE.Raycaster(camera.position.clone(), direction, skip, skip + def.range);
+
+    let hit = null;
+    const targets = [];
+    loadedChunks.forEach(function(chunk) {
+        if (chunk.userData.lod === 'full') targets.push(chunk);
+    });
+    if (vehicleFleet) targets.push(vehicleFleet);
+    const sceneHit = raycaster.intersectObjects(targets, true)[0];
+    if (sceneHit) hit = { distance: sceneHit.distance, point: sceneHit.point, sceneHit };
+
+    const pointOnRay = new THREE.Vector3();
+    crowdPool.forEach(function(npc) {
+        if (!npc.active || npc.state === 'dead') return;
+        const base = npc.root.position;
+        const distSq = raycaster.ray.distanceSqToSegment(
+            base, new THREE.Vector3(base.x, base.y + CHARACTER_COLLISION_HEIGHT, base.z), pointOnRay
+        );
+        if (distSq > PEDESTRIAN_RADIUS * PEDESTRIAN_RADIUS) return;
+        const distance = pointOnRay.distanceTo(raycaster.ray.origin);
+        if (distance < skip || distance > skip + def.range) return;
+        if (!hit || distance < hit.distance) hit = { distance, point: pointOnRay.clone(), npc };
+    });
+
+    if (hit && hit.npc) {
+        damagePedestrian(hit.npc, def.damage);
+    } else if (hit && hit.sceneHit && hit.sceneHit.face && !isDescendantOf(hit.sceneHit.object, vehicleFleet)) {
+        addImpactDecal(hit.sceneHit);
+    }
+
+    gameEvents.emit('weaponFired', { id: weapon.id, position: character.position.clone(), hit: hit ? hit.point : null });
+    reportDanger(character.position, 30);
+    if (clock && clock.elapsedTime - weapon.lastGunfireReport > GUNFIRE_REPORT_INTERVAL) {
+        weapon.lastGunfireReport = clock.elapsedTime;
+        reportCrime('gunfire');
+    }
+    if (ammo.magazine === 0) startReload();
+    updateAmmoHud();
+}
+
+// Swing at whoever is closest within reach in front of the character, facing the camera
+function meleeAttack(def) {
+    weapon.cooldown = def.fireInterval;
+    character.rotation.y = cameraYaw;
+    const facing = new THREE.Vector3(Math.sin(cameraYaw), 0, Math.cos(cameraYaw));
+    const offset = new THREE.Vector3();
+    let target = null;
+    let targetDistance = Infinity;
+    crowdPool.forEach(function(npc) {
+        if (!npc.active || npc.state === 'dead') return;
+        offset.subVectors(npc.root.position, character.position).setY(0);
+        const distance = offset.length();
+        if (distance > def.range + PEDESTRIAN_RADIUS || distance >= targetDistance) return;
+        if (distance > 0.01 && offset.dot(facing) / distance < 0.5) return;
+        target = npc;
+        targetDistance = distance;
+    });
+    if (target) {
+        damagePedestrian(target, def.damage);
+        if (clock && clock.elapsedTime - weapon.lastAssaultReport > GUNFIRE_REPORT_INTERVAL) {
+            weapon.lastAssaultReport = clock.elapsedTime;
+            reportCrime('assault');
+        }
+    }
+    gameEvents.emit('weaponFired', { id: weapon.id, position: character.position.clone(), hit: target ? target.root.position.clone() : null });
+}
+
+function isDescendantOf(object, ancestor) {
+    for (let node = object; node; node = node.parent) {
+        if (node === ancestor) return true;
+    }
+    return false;
+}
+
+// Advance fire cooldown, reload and muzzle flash; keep the character facing the aim
+function updateWeapon(delta) {
+    weapon.cooldown = Math.max(0, weapon.cooldown - delta);
+    if (weapon.triggerHeld && WEAPONS[weapon.id]?.automatic && weapon.cooldown <= 0) fireWeapon();
+    weapon.aimBlend += ((weapon.aiming ? 1 : 0) - weapon.aimBlend) * Math.min(1, delta * 10);
+    if (weapon.reloadTimer > 0) {
+        weapon.reloadTimer -= delta;
+        if (weapon.reloadTimer <= 0) {
+            weapon.reloadTimer = 0;
+            const def = WEAPONS[weapon.id];
+            const ammo = def && weapon.ammo[weapon.id];
+            if (ammo) {
+                const moved = Math.min(def.magazineSize - ammo.magazine, ammo.reserve);
+                ammo.magazine += moved;
+                ammo.reserve -= moved;
+            }
+            gameEvents.emit('weaponReloaded', { id: weapon.id });
+            updateAmmoHud();
+        }
+    }
+    weapon.flashTimer = Math.max(0, weapon.flashTimer - delta);
+    const flashing = weapon.flashTimer > 0 && Boolean(weapon.model && weapon.model.userData.flash);
+    if (weapon.model && weapon.model.userData.flash) weapon.model.userData.flash.visible = flashing;
+    if (muzzleFlashLight) {
+        muzzleFlashLight.intensity = flashing ? MUZZLE_FLASH_INTENSITY : 0;
+        if (flashing) weapon.model.userData.muzzle.getWorldPosition(muzzleFlashLight.position);
+    }
+    if (weapon.aiming && character) {
+        character.rotation.y += angleDelta(character.rotation.y, cameraYaw) * Math.min(1, 15 * delta);
+    }
+}
+
+// Add rounds to a weapon's reserve (pickups, store purchases)
+function addAmmo(id, rounds) {
+    const def = WEAPONS[id];
+    if (!def) return;
+    if (!weapon.ammo[id]) weapon.ammo[id] = { magazine: 0, reserve: 0 };
+    weapon.ammo[id].reserve = Math.min(def.maxReserve, weapon.ammo[id].reserve + rounds);
+    updateAmmoHud();
+}
+
+function updateAmmoHud() {
+    const el = document.getElementById('ammo');
+    if (!el) return;
+    const def = WEAPONS[weapon.id];
+    if (!def) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = 'block';
+    if (def.melee) {
+        el.textContent = def.name.toUpperCase();
+        return;
+    }
+    const ammo = weapon.ammo[weapon.id];
+    el.textContent = weapon.reloadTimer > 0 ? 'RELOADING' : `${def.name.toUpperCase()}  ${ammo.magazine} / ${ammo.reserve}`;
+}
+
+// Bullet holes: a ring buffer of small dark quads laid on the surface that was hit
+function createImpactDecals() {
+    const material = new THREE.MeshBasicMaterial({
+        color: 0x0a0a0a, transparent: true, opacity: 0.85, depthWrite: false,
+        polygonOffset: true, polygonOffsetFactor: -4
+    });
+    const mesh = new THREE.InstancedMesh(new THREE.CircleGeometry(0.06, 8), material, MAX_IMPACT_DECALS);
+    mesh.name = 'impactDecals';
+    mesh.count = 0;
+    mesh.frustumCulled = false;
+    scene.add(mesh);
+    return { mesh, records: [], next: 0 };
+}
+
+function addImpactDecal(intersection) {
+    if (!impactDecals) impactDecals = createImpactDecals();
+    const object = intersection.object;
+    const surfaceMatrix = object.matrixWorld.clone();
+    if (object.isInstancedMesh && intersection.instanceId !== undefined) {
+        const instanceMatrix = new THREE.Matrix4();
+        object.getMatrixAt(intersection.instanceId, instanceMatrix);
+        surfaceMatrix.multiply(instanceMatrix);
+    }
+    const normal = intersection.face.normal.clone()
+        .applyMatrix3(new THREE.Matrix3().getNormalMatrix(surfaceMatrix)).normalize();
+    const position = intersection.point.clone().addScaledVector(normal, 0.01);
+    const matrix = new THREE.Matrix4().compose(
+        position,
+        new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal),
+        new THREE.Vector3(1, 1, 1)
+    );
+    const index = impactDecals.next;
+    impactDecals.next = (index + 1) % MAX_IMPACT_DECALS;
+    const { cx, cz } = worldToChunk(position.x, position.z);
+    impactDecals.records[index] = { chunkKey: `${cx},${cz}` };
+    impactDecals.mesh.setMatrixAt(index, matrix);
+    impactDecals.mesh.count = Math.max(impactDecals.mesh.count, index + 1);
+    impactDecals.mesh.instanceMatrix.needsUpdate = true;
+}
+
+// Hide decals left on a chunk that is being unloaded
+function removeDecalsInChunk(key) {
+    if (!impactDecals) return;
+    const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+    impactDecals.records.forEach(function(record, index) {
+        if (record && record.chunkKey === key) {
+            impactDecals.mesh.setMatrixAt(index, hidden);
+            impactDecals.records[index] = null;
+        }
+    });
+    impactDecals.mesh.instanceMatrix.needsUpdate = true;
+}
+
+function clearImpactDecals() {
+    if (!impactDecals) return;
+    impactDecals.records = [];
+    impactDecals.next = 0;
+    impactDecals.mesh.count = 0;
+}
+
+// Fresh health and no armor (new game, respawn)
+function resetPlayerState() {
+    player.health = PLAYER_MAX_HEALTH;
+    player.armor = 0;
+    player.dead = false;
+    player.deathTimer = 0;
+    player.grounded = true;
+    player.verticalVelocity = 0;
+    player.airTime = 0;
+    player.coyoteTimer = 0;
+    player.jumpBuffer = 0;
+    player.landTimer = 0;
+    Object.keys(player.damageEdges).forEach(edge => { player.damageEdges[edge] = 0; });
+    updatePlayerHud();
+    updateDamageIndicator();
+}
+
+// Apply damage to the player. source is an optional world position the hit came from;
+// it lights up the matching screen edge.
+function damagePlayer(amount, source) {
+    if (player.dead || !isInGame || amount <= 0) return;
+    const absorbed = Math.min(player.armor, amount * ARMOR_ABSORPTION);
+    player.armor -= absorbed;
+    player.health = Math.max(0, player.health - (amount - absorbed));
+    if (source && character) flashDamageEdge(source);
+    gameEvents.emit('playerDamaged', {
+        amount, absorbed, health: player.health, armor: player.armor,
+        source: source ? source.clone() : null
+    });
+    updatePlayerHud();
+    if (player.health <= 0) killPlayer(source);
+}
+
+function healPlayer(amount) {
+    if (player.dead) return;
+    player.health = Math.min(PLAYER_MAX_HEALTH, player.health + amount);
+    updatePlayerHud();
+}
+
+function addArmor(amount) {
+    if (player.dead) return;
+    player.armor = Math.min(PLAYER_MAX_ARMOR, player.armor + amount);
+    updatePlayerHud();
+}
+
+// Light the screen edge facing the damage source, relative to where the camera looks
+function flashDamageEdge(source) {
+    const dx = source.x - character.position.x;
+    const dz = source.z - character.position.z;
+    if (dx * dx + dz * dz < 1e-6) {
+        Object.keys(player.damageEdges).forEach(edge => { player.damageEdges[edge] = 1; });
+        return;
+    }
+    const ahead = dx * Math.sin(cameraYaw) + dz * Math.cos(cameraYaw);
+    const right = -dx * Math.cos(cameraYaw) + dz * Math.sin(cameraYaw);
+    const edge = Math.abs(ahead) >= Math.abs(right) ? (ahead > 0 ? 'top' : 'bottom') : (right > 0 ? 'right' : 'left');
+    player.damageEdges[edge] = 1;
+}
+
+function killPlayer(source) {
+    player.dead = true;
+    player.health = 0;
+    player.deathTimer = DEATH_CAMERA_SECONDS;
+    player.deathYaw = cameraYaw;
+    setAiming(false);
+    clearInputState();
+    try { mixer?.stopAllAction?.(); } catch (e) {}
+    // No death clip on the allowlist: tip the character over like a dead pedestrian
+    character.rotation.x = -Math.PI / 2;
+    character.position.y = getGroundHeight(character.position.x, character.position.z, character.position.y + STEP_HEIGHT) + 0.25;
+    const screen = document.getElementById('death-screen');
+    if (screen) {
+        const detail = screen.querySelector('.detail');
+        if (detail) {
+            detail.textContent = (GAME_MODES[gameMode] || GAME_MODES.freeroam).onDeath === 'lobby'
+                ? 'Returning to lobby' : `Hospital bill: ${hospitalBill()} coins`;
+        }
+        screen.style.display = 'flex';
+    }
+    gameEvents.emit('playerDied', { position: character.position.clone(), source: source ? source.clone() : null });
+}
+
+// Slow rising orbit around the body while the death screen is up
+function updateDeathCamera(delta) {
+    const elapsed = DEATH_CAMERA_SECONDS - player.deathTimer;
+    const yaw = player.deathYaw + elapsed * 0.35;
+    const distance = cameraFollowDistance + elapsed * 1.5;
+    const height = cameraFollowHeight + elapsed * 2;
+    const desired = new THREE.Vector3(
+        character.position.x - Math.sin(yaw) * distance,
+        character.position.y + height,
+        character.position.z - Math.cos(yaw) * distance
+    );
+    const alpha = 1 - Math.pow(1 - 0.08, Math.max(0.0001, delta) * 60);
+    camera.position.lerp(desired, alpha);
+    controls.target.lerp(character.position, alpha);
+}
+
+// Per-frame player upkeep: fade the damage edges and run the death countdown
+function updatePlayer(delta) {
+    Object.keys(player.damageEdges).forEach(function(edge) {
+        player.damageEdges[edge] = Math.max(0, player.damageEdges[edge] - delta * 1.5);
+    });
+    updateDamageIndicator();
+    if (!player.dead) return;
+    player.deathTimer -= delta;
+    if (player.deathTimer > 0) return;
+    const screen = document.getElementById('death-screen');
+    if (screen) screen.style.display = 'none';
+    if ((GAME_MODES[gameMode] || GAME_MODES.freeroam).onDeath === 'lobby') {
+        // Not right away: the rest of this frame's city updates would undo the lobby setup
+        pendingLobbyReturn = true;
+    } else {
+        respawnPlayer();
+    }
+}
+
+// Wake the player up on a safe sidewalk, pay the hospital bill and clear the wanted level
+function respawnPlayer() {
+    const spawn = findSafeSpawnPoint();
+    const bill = hospitalBill();
+    spendCoins(bill, 'hospital');
+    clearWantedLevel();
+    resetPlayerState();
+    applyLoadout();
+    character.rotation.set(0, cameraYaw, 0);
+    character.position.set(spawn.x, 0.1, spawn.z);
+    movementYaw = cameraYaw;
+    resetLocomotion();
+    resetCameraCollision();
+    camera.position.set(
+        spawn.x - Math.sin(cameraYaw) * cameraFollowDistance,
+        character.position.y + cameraFollowHeight,
+        spawn.z - Math.cos(cameraYaw) * cameraFollowDistance
+    );
+    controls.target.set(spawn.x, character.position.y + Math.max(1.0, cameraFollowHeight * 0.4), spawn.z);
+    gameEvents.emit('playerRespawned', { position: character.position.clone(), bill });
+}
+
+function hospitalBill() {
+    const rule = (GAME_MODES[gameMode] || GAME_MODES.freeroam).hospitalBill;
+    if (!rule) return 0;
+    const bill = Math.round(Math.max(rule.min, Math.min(rule.max, wallet.coins * rule.fraction)));
+    return Math.min(wallet.coins, bill);
+}
+
+// Sidewalk point in the loaded full-detail chunks that is clear of props and buildings and
+// out of reach of responding police; the closest one to the character wins
+function findSafeSpawnPoint() {
+    const police = vehicles.filter(v => v.responding);
+    const probe = new THREE.Vector3();
+    let best = null;
+    let bestDistance = Infinity;
+    loadedChunks.forEach(function(chunk, key) {
+        if (chunk.userData.lod !== 'full') return;
+        const [cx, cz] = key.split(',').map(Number);
+        [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]].forEach(function([fx, fz]) {
+            const point = getSidewalkPoint((cx + fx) * CHUNK_SIZE, (cz + fz) * CHUNK_SIZE);
+            probe.set(point.x, 0.1, point.z);
+            resolveCircleCollisions(probe, CHARACTER_COLLISION_RADIUS * 2, CHARACTER_COLLISION_HEIGHT);
+            if (probe.x !== point.x || probe.z !== point.z) return;
+            if (police.some(v => Math.hypot(v.position.x - point.x, v.position.z - point.z) < RESPAWN_MIN_POLICE_DISTANCE)) return;
+            const distance = Math.hypot(point.x - character.position.x, point.z - character.position.z);
+            if (distance < bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+    });
+    return best || getSidewalkPoint(character.position.x, character.position.z);
+}
+
+// Responding units in range and in sight take shots at the player from POLICE_FIRE.minLevel up
+function updatePoliceFire(delta) {
+    if (player.dead || wanted.level < POLICE_FIRE.minLevel) return;
+    vehicles.forEach(function(v) {
+        if (!v.responding) return;
+        v.fireTimer = (v.fireTimer ?? Math.random() * POLICE_FIRE.interval) - delta;
+        if (v.fireTimer > 0) return;
+        v.fireTimer = POLICE_FIRE.interval * (0.75 + Math.random() * 0.5);
+        if (v.position.distanceTo(character.position) > POLICE_FIRE.range) return;
+        if (!hasLineOfSight(v.position, character.position)) return;
+        playGunshotSound(0.3);
+        if (Math.random() < POLICE_FIRE.accuracy) damagePlayer(POLICE_FIRE.damage, v.position);
+    });
+}
+
+// Health and armor bars under the wanted stars
+function updatePlayerHud() {
+    const health = document.querySelector('#player-status .health .fill');
+    const armor = document.querySelector('#player-status .armor .fill');
+    if (health) health.style.width = `${100 * player.health / PLAYER_MAX_HEALTH}%`;
+    if (armor) {
+        armor.style.width = `${100 * player.armor / PLAYER_MAX_ARMOR}%`;
+        armor.parentElement.style.visibility = player.armor > 0 ? 'visible' : 'hidden';
+    }
+}
+
+let damageIndicatorState = '';
+function updateDamageIndicator() {
+    const state = Object.values(player.damageEdges).map(v => v.toFixed(2)).join('|');
+    if (state === damageIndicatorState) return;
+    damageIndicatorState = state;
+    Object.keys(player.damageEdges).forEach(function(edge) {
+        const el = document.querySelector(`#damage-indicator .${edge}`);
+        if (el) el.style.opacity = player.damageEdges[edge].toFixed(2);
+    });
+}
+
+// Take coins out of the wallet; returns false (and spends nothing) if the balance is too low
+function spendCoins(amount, reason) {
+    amount = Math.floor(amount);
+    if (amount <= 0) return true;
+    if (wallet.coins < amount) return false;
+    wallet.coins -= amount;
+    gameEvents.emit('walletChanged', { coins: wallet.coins, change: -amount, reason });
+    return true;
+}
+
+// Coin balance shown in the lobby header
+function updateCoinDisplay() {
+    const el = document.querySelector('.currency .amount');
+    if (el) el.textContent = String(wallet.coins);
+}
+
+// Why a catalog entry cannot be bought right now, or null if it can
+function getStoreBlocker(entry) {
+    const item = ITEMS[entry.item];
+    if (!item.stackable && getItemCount(entry.item) > 0) return 'Owned';
+    const unlock = entry.unlock;
+    if (unlock && unlock.stat && (playerStats[unlock.stat] || 0) < unlock.min) {
+        return `Locked: ${STAT_LABELS[unlock.stat] ? STAT_LABELS[unlock.stat](unlock.min) : `${unlock.stat} ${unlock.min}`}`;
+    }
+    if (unlock && unlock.owns && getItemCount(unlock.owns) === 0) return `Locked: own ${ITEMS[unlock.owns].name}`;
+    if (wallet.coins < entry.price) return 'Not enough coins';
+    return null;
+}
+
+// Buy a catalog entry: check the requirements, charge the wallet and grant the items
+function purchaseStoreItem(entryId) {
+    const entry = STORE_CATALOG.find(e => e.id === entryId);
+    if (!entry) return { ok: false, reason: 'Unknown item' };
+    const blocker = getStoreBlocker(entry);
+    if (blocker || !spendCoins(entry.price, `store:${entry.id}`)) return { ok: false, reason: blocker || 'Not enough coins' };
+    addItem(entry.item, entry.count || 1);
+    gameEvents.emit('itemPurchased', { id: entry.id, item: entry.item, count: entry.count || 1, price: entry.price });
+    return { ok: true };
+}
+
+// STORE modal: category tabs and one card per catalog entry in the current category
+function renderStore() {
+    const tabsEl = document.getElementById('store-tabs');
+    const itemsEl = document.getElementById('store-items');
+    if (!tabsEl || !itemsEl) return;
+    tabsEl.innerHTML = '';
+    STORE_CATEGORIES.forEach(function(category) {
+        const tab = document.createElement('button');
+        tab.className = 'store-tab';
+        tab.dataset.category = category;
+        tab.classList.toggle('active', category === storeCategory);
+        tab.textContent = category.toUpperCase();
+        tabsEl.appendChild(tab);
+    });
+    itemsEl.innerHTML = '';
+    STORE_CATALOG.filter(e => e.category === storeCategory).forEach(function(entry) {
+        const item = ITEMS[entry.item];
+        const blocker = getStoreBlocker(entry);
+        const card = document.createElement('div');
+        card.className = 'store-item';
+        if (entry.image) {
+            const img = document.createElement('img');
+            img.src = entry.image;
+            img.alt = item.name;
+            card.appendChild(img);
+        }
+        const name = document.createElement('div');
+        name.className = 'store-item-name';
+        name.textContent = entry.count > 1 ? `${item.name} x${entry.count}` : item.name;
+        const price = document.createElement('div');
+        price.className = 'store-item-price';
+        price.textContent = `${entry.price} coins`;
+        const buy = document.createElement('button');
+        buy.className = 'store-buy';
+        buy.dataset.entry = entry.id;
+        buy.disabled = Boolean(blocker);
+        buy.textContent = blocker || 'BUY';
+        card.append(name, price, buy);
+        itemsEl.appendChild(card);
+    });
+}
+
+// Lifetime stats, fed by the event bus
+function setupPlayerStats() {
+    gameEvents.on('pedestrianKilled', () => { playerStats.kills++; });
+    gameEvents.on('playerDied', () => { playerStats.deaths++; });
+    gameEvents.on('wantedLevelChanged', function(e) {
+        playerStats.highestWantedLevel = Math.max(playerStats.highestWantedLevel, e.level);
+    });
+}
+
+// Clamp / coerce a value to what its SETTINGS_SCHEMA entry allows (falls back to the default)
+function validateSetting(key, value) {
+    const def = SETTINGS_SCHEMA[key];
+    if (def.type === 'toggle') return typeof value === 'boolean' ? value : def.default;
+    if (def.type === 'select') {
+        const option = def.options.find(o => String(o.value) === String(value));
+        return option ? option.value : def.default;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(def.min, Math.min(def.max, number)) : def.default;
+}
+
+// Change one setting and apply it right away. Unknown keys are ignored.
+function setSetting(key, value) {
+    if (!(key in SETTINGS_SCHEMA)) return;
+    settings[key] = validateSetting(key, value);
+    applySetting(key);
+    gameEvents.emit('settingsChanged', { key, value: settings[key] });
+}
+
+function applySetting(key) {
+    const value = settings[key];
+    switch (key) {
+        case 'fov':
+            if (camera) {
+                camera.fov = value;
+                camera.updateProjectionMatrix();
+            }
+            break;
+        case 'cameraFollowDistance':
+            cameraFollowDistance = value;
+            break;
+        case 'cameraFollowHeight':
+            cameraFollowHeight = value;
+            break;
+        case 'pitchMin':
+        case 'pitchMax':
+            clampCameraPitch();
+            break;
+        case 'fadeOccluders':
+            if (!value) restoreFadedOccluders();
+            break;
+        case 'chunkRadius':
+            // Forget the last streamed chunk so the next frame re-plans with the new radius
+            lastChunkX = null;
+            lastChunkZ = null;
+            break;
+        case 'shadowMapSize':
+            applyShadowSettings();
+            break;
+        case 'pixelRatioCap':
+            if (renderer) renderer.setPixelRatio(Math.min(value, window.devicePixelRatio || 1));
+            break;
+        case 'masterVolume':
+            if (audioOutput) audioOutput.gain.value = value;
+            break;
+        // windows is read by applyTimeOfDay; pointer settings are read on every mouse move
+    }
+}
+
+// Turn sun shadows on/off or rebuild the shadow map at the configured size
+function applyShadowSettings() {
+    if (!sunLight) return;
+    const size = settings.shadowMapSize;
+    sunLight.castShadow = size > 0;
+    if (size > 0 && sunLight.shadow.mapSize.x !== size) {
+        sunLight.shadow.mapSize.set(size, size);
+        if (sunLight.shadow.map) {
+            sunLight.shadow.map.dispose();
+            sunLight.shadow.map = null;
+        }
+    }
+}
+
+function clampCameraPitch() {
+    const minPitch = settings.pitchMin * Math.PI / 180;
+    const maxPitch = settings.pitchMax * Math.PI / 180;
+    cameraPitch = Math.max(minPitch, Math.min(maxPitch, cameraPitch));
+}
+
+// Settings stored in the profile
+function getSettings() {
+    return { ...settings };
+}
+
+function getDefaultSettings() {
+    const defaults = {};
+    Object.keys(SETTINGS_SCHEMA).forEach(key => { defaults[key] = SETTINGS_SCHEMA[key].default; });
+    return defaults;
+}
+
+// Apply a whole set of saved settings (missing keys get their defaults)
+function applySettings(saved) {
+    Object.keys(SETTINGS_SCHEMA).forEach(function(key) {
+        settings[key] = validateSetting(key, key in saved ? saved[key] : SETTINGS_SCHEMA[key].default);
+        applySetting(key);
+    });
+    gameEvents.emit('settingsChanged', { settings: getSettings() });
+}
+
+// OPTIONS menu: one control per setting, grouped by section
+function renderSettingsForm() {
+    const form = document.getElementById('options-settings');
+    if (!form) return;
+    form.innerHTML = '';
+    SETTINGS_SECTIONS.forEach(function(section) {
+        const group = document.createElement('div');
+        group.className = 'options-section';
+        const title = document.createElement('h3');
+        title.textContent = section.charAt(0).toUpperCase() + section.slice(1);
+        group.appendChild(title);
+        Object.keys(SETTINGS_SCHEMA).filter(key => SETTINGS_SCHEMA[key].section === section).forEach(function(key) {
+            const def = SETTINGS_SCHEMA[key];
+            const row = document.createElement('label');
+            row.className = 'options-row';
+            const name = document.createElement('span');
+            name.textContent = def.label;
+            row.appendChild(name);
+            let input;
+            if (def.type === 'select') {
+                input = document.createElement('select');
+                def.options.forEach(function(option) {
+                    const el = document.createElement('option');
+                    el.value = String(option.value);
+                    el.textContent = option.label;
+                    input.appendChild(el);
                 });
+                input.value = String(settings[key]);
+            } else {
+                input = document.createElement('input');
+                input.type = def.type === 'toggle' ? 'checkbox' : 'range';
+                if (def.type === 'toggle') {
+                    input.checked = settings[key];
+                } else {
+                    input.min = def.min;
+                    input.max = def.max;
+                    input.step = def.step;
+                    input.value = settings[key];
+                }
             }
+            input.dataset.setting = key;
+            row.appendChild(input);
+            if (def.type === 'range') {
+                const value = document.createElement('span');
+                value.className = 'options-value';
+                value.textContent = formatSettingValue(key);
+                row.appendChild(value);
+            }
+            group.appendChild(row);
+        });
+        form.appendChild(group);
+    });
+}
+
+// OPTIONS key bindings: primary and alternate button per action
+function renderBindingsForm() {
+    const form = document.getElementById('options-bindings');
+    if (!form) return;
+    form.innerHTML = '';
+    Object.keys(INPUT_ACTIONS).forEach(function(action) {
+        const row = document.createElement('div');
+        row.className = 'options-row binding-row';
+        const name = document.createElement('span');
+        name.textContent = INPUT_ACTIONS[action].label;
+        row.appendChild(name);
+        [0, 1].forEach(function(index) {
+            const button = document.createElement('button');
+            button.className = 'binding-btn';
+            button.dataset.action = action;
+            button.dataset.index = index;
+            button.textContent = formatInputCode(inputBindings[action][index]);
+            row.appendChild(button);
         });
+        form.appendChild(row);
+    });
+}
+
+function formatSettingValue(key) {
+    const def = SETTINGS_SCHEMA[key];
+    const decimals = (String(def.step).split('.')[1] || '').length;
+    return Number(settings[key]).toFixed(decimals);
+}
+
+function createDefaultProfile() {
+    return {
+        version: PROFILE_VERSION,
+        coins: STARTING_COINS,
+        items: { ...STARTING_INVENTORY },
+        loadout: { ...STARTING_LOADOUT },
+        settings: getDefaultSettings(),
+        bindings: getDefaultBindings(),
+        stats: { kills: 0, deaths: 0, highestWantedLevel: 0 }
     };
-    
-    // Optional: Set up Draco decoder for compressed models
-    const dracoLoader = new THREE.DRACOLoader();
-    dracoLoader.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
-    loader.setDRACOLoader(dracoLoader);
-    
-    // Update debug output
-    const debugOutput = document.querySelector('.debug-output');
-    if (debugOutput) {
-        debugOutput.innerHTML += 'Starting load...<br>';
+}
+
+// Bring saved data up to PROFILE_VERSION and fill in anything missing from the defaults.
+// Throws on data that is not a profile or comes from a newer build.
+function migrateProfile(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) throw new Error('Not a COV profile');
+    if (data.version > PROFILE_VERSION) throw new Error(`Profile version ${data.version} is newer than this game`);
+    let profile = data;
+    while (profile.version < PROFILE_VERSION) {
+        const migrate = PROFILE_MIGRATIONS[profile.version];
+        if (!migrate) throw new Error(`No migration from profile version ${profile.version}`);
+        profile = { ...migrate(profile), version: profile.version + 1 };
+    }
+    const defaults = createDefaultProfile();
+    const items = {};
+    Object.keys(profile.items || {}).forEach(function(id) {
+        const count = Math.floor(Number(profile.items[id]));
+        if (ITEMS[id] && count > 0) items[id] = ITEMS[id].stackable ? count : 1;
+    });
+    // Known counters only, as non-negative integers (a NaN would be counted up and saved again)
+    const savedStats = profile.stats && typeof profile.stats === 'object' ? profile.stats : {};
+    const stats = {};
+    Object.keys(defaults.stats).forEach(function(key) {
+        const raw = savedStats[key];
+        const value = typeof raw === 'number' || typeof raw === 'string' ? Math.floor(Number(raw)) : NaN;
+        stats[key] = Number.isFinite(value) ? Math.max(0, value) : defaults.stats[key];
+    });
+    return {
+        version: PROFILE_VERSION,
+        coins: Number.isFinite(profile.coins) ? Math.max(0, Math.floor(profile.coins)) : defaults.coins,
+        items,
+        loadout: { ...defaults.loadout, ...profile.loadout },
+        settings: { ...defaults.settings, ...profile.settings },
+        bindings: { ...defaults.bindings, ...profile.bindings },
+        stats
+    };
+}
+
+// Current state as a plain profile object
+function snapshotProfile() {
+    return {
+        version: PROFILE_VERSION,
+        coins: wallet.coins,
+        items: { ...inventory.items },
+        loadout: { ...inventory.loadout },
+        settings: getSettings(),
+        bindings: JSON.parse(JSON.stringify(inputBindings)),
+        stats: { ...playerStats }
+    };
+}
+
+// Replace the live coins, inventory, settings and stats with a (migrated) profile
+function applyProfile(profile) {
+    wallet.coins = profile.coins;
+    inventory.items = { ...profile.items };
+    inventory.loadout = {};
+    EQUIP_SLOTS.forEach(function(slot) {
+        const id = profile.loadout[slot];
+        const valid = id && ITEMS[id] && ITEMS[id].slot === slot && getItemCount(id) > 0;
+        inventory.loadout[slot] = valid ? id : null;
+    });
+    Object.assign(playerStats, profile.stats);
+    applySettings(profile.settings);
+    applyInputBindings(profile.bindings);
+    gameEvents.emit('walletChanged', { coins: wallet.coins, change: 0, reason: 'profile' });
+    gameEvents.emit('inventoryChanged', { items: inventory.items });
+    gameEvents.emit('loadoutChanged', { loadout: inventory.loadout });
+}
+
+// Read the saved profile (or start a fresh one). A corrupt save is kept aside, not overwritten.
+function loadProfile() {
+    let profile = createDefaultProfile();
+    try {
+        const raw = localStorage.getItem(PROFILE_STORAGE_KEY);
+        if (raw) profile = migrateProfile(JSON.parse(raw));
+    } catch (e) {
+        console.warn('Could not load saved profile, starting fresh:', e);
+        try {
+            localStorage.setItem(`${PROFILE_STORAGE_KEY}.broken`, localStorage.getItem(PROFILE_STORAGE_KEY));
+        } catch (ignored) {}
+    }
+    applyProfile(profile);
+}
+
+function saveProfile() {
+    clearTimeout(profileSaveTimer);
+    profileSaveTimer = null;
+    try {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(snapshotProfile()));
+    } catch (e) {
+        console.warn('Could not save profile:', e);
+    }
+}
+
+function scheduleProfileSave() {
+    if (profileSaveTimer) return;
+    profileSaveTimer = setTimeout(saveProfile, PROFILE_SAVE_DELAY_MS);
+}
+
+// Download the profile as a JSON file
+function exportProfile() {
+    const blob = new Blob([JSON.stringify(snapshotProfile(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'cov-profile.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Replace the profile with one read from a JSON file. Resolves once applied and saved;
+// rejects (leaving the current profile alone) if the file is not a usable profile.
+function importProfile(file) {
+    return file.text().then(function(text) {
+        const profile = migrateProfile(JSON.parse(text));
+        applyProfile(profile);
+        saveProfile();
+    });
+}
+
+function resetProfile() {
+    applyProfile(createDefaultProfile());
+    saveProfile();
+}
+
+function getItemCount(id) {
+    return inventory.items[id] || 0;
+}
+
+// Grant items. Non-stackable items are owned at most once.
+function addItem(id, count = 1) {
+    const item = ITEMS[id];
+    if (!item) {
+        console.warn('Unknown item:', id);
+        return;
+    }
+    inventory.items[id] = item.stackable ? getItemCount(id) + count : 1;
+    gameEvents.emit('inventoryChanged', { items: inventory.items, id });
+}
+
+// Take items away; returns false if there were not enough. A slot holding the last one is emptied.
+function removeItem(id, count = 1) {
+    if (getItemCount(id) < count) return false;
+    inventory.items[id] -= count;
+    if (inventory.items[id] === 0) {
+        delete inventory.items[id];
+        EQUIP_SLOTS.forEach(function(slot) {
+            if (inventory.loadout[slot] === id) equipItem(slot, null);
+        });
+    }
+    gameEvents.emit('inventoryChanged', { items: inventory.items, id });
+    return true;
+}
+
+// Put an owned item in its equip slot (null empties the slot)
+function equipItem(slot, id) {
+    if (!EQUIP_SLOTS.includes(slot)) return false;
+    if (id && (!ITEMS[id] || ITEMS[id].slot !== slot || getItemCount(id) === 0)) return false;
+    inventory.loadout[slot] = id;
+    gameEvents.emit('loadoutChanged', { loadout: inventory.loadout, slot });
+    return true;
+}
+
+// The weapon carried in a slot, if any
+function getSlotWeapon(slot) {
+    const id = inventory.loadout[slot];
+    return id && ITEMS[id].weapon ? ITEMS[id].weapon : null;
+}
+
+// Spawn with the chosen loadout: wear one body armor and draw the first weapon slot that is filled
+function applyLoadout() {
+    const body = inventory.loadout.body;
+    if (body && ITEMS[body].armor && removeItem(body)) addArmor(ITEMS[body].armor);
+    const first = WEAPON_SLOTS.map(getSlotWeapon).find(Boolean);
+    equipWeapon(first || null);
+}
+
+// Number keys: draw the weapon in a slot, or holster it if it is already in hand
+function selectWeaponSlot(slot) {
+    const id = getSlotWeapon(slot);
+    if (!id) return;
+    equipWeapon(weapon.id === id ? null : id);
+}
+
+function useMedkit() {
+    if (player.dead || player.health >= PLAYER_MAX_HEALTH || !removeItem('medkit')) return;
+    healPlayer(ITEMS.medkit.heal);
+}
+
+// Lobby preview: the first weapon in hand and the rest holstered on the character
+function updateLoadoutPreview() {
+    clearLoadoutPreview();
+    if (!character || isInGame) return;
+    const inHand = WEAPON_SLOTS.find(getSlotWeapon);
+    WEAPON_SLOTS.forEach(function(slot) {
+        const id = getSlotWeapon(slot);
+        if (!id || slot === inHand) return;
+        const model = createWeaponModel(id, { flash: false });
+        attachWeaponModel(model, character, HOLSTER_POSITIONS[slot]);
+        loadoutPreview.push(model);
+    });
+    equipWeapon(inHand ? getSlotWeapon(inHand) : null);
+}
+
+function clearLoadoutPreview() {
+    loadoutPreview.forEach(model => model.parent && model.parent.remove(model));
+    loadoutPreview = [];
+}
+
+// LOADOUT screen: one row per equip slot, and every owned item as a button that equips it
+// into its slot (or empties the slot if it is already there)
+function renderLoadoutScreen() {
+    const slotsEl = document.getElementById('loadout-slots');
+    const itemsEl = document.getElementById('loadout-items');
+    if (!slotsEl || !itemsEl) return;
+    slotsEl.innerHTML = '';
+    EQUIP_SLOTS.forEach(function(slot) {
+        const id = inventory.loadout[slot];
+        const row = document.createElement('div');
+        row.className = 'loadout-slot';
+        row.innerHTML = `<span class="slot-name">${slot.toUpperCase()}</span><span class="slot-item"></span>`;
+        row.querySelector('.slot-item').textContent = id ? ITEMS[id].name : '—';
+        slotsEl.appendChild(row);
+    });
+    itemsEl.innerHTML = '';
+    Object.keys(inventory.items).forEach(function(id) {
+        const item = ITEMS[id];
+        if (!item) return;
+        const button = document.createElement('button');
+        button.className = 'loadout-item';
+        button.dataset.item = id;
+        button.disabled = !item.slot;
+        button.classList.toggle('equipped', Boolean(item.slot) && inventory.loadout[item.slot] === id);
+        button.textContent = item.stackable ? `${item.name} x${getItemCount(id)}` : item.name;
+        if (item.slot) button.title = `Equip as ${item.slot}`;
+        itemsEl.appendChild(button);
+    });
+}
+
+// Create urban props (cars, benches, etc.)
+function createUrbanProps() {
+    // Reduce props density for performance
+    // Cars are driven by the traffic system (see updateTraffic)
+    const propMeshes = [];
+
+    const benchPositions = [ { x: -6, z: -6 }, { x: 6, z: 6 } ];
+    benchPositions.forEach(pos => {
+        const benchGeometry = new THREE.BoxGeometry(2, 0.1, 0.8);
+        const benchMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
+        const bench = new THREE.Mesh(benchGeometry, benchMaterial);
+        bench.position.set(pos.x, 0.4, pos.z);
+        cityGroup.add(bench);
+        const backrestGeometry = new THREE.BoxGeometry(2, 0.6, 0.1);
+        const backrest = new THREE.Mesh(backrestGeometry, benchMaterial);
+        backrest.position.set(pos.x, 0.7, pos.z - 0.35);
+        cityGroup.add(backrest);
+        bench.userData.blocksMovement = true;
+        backrest.userData.blocksMovement = true;
+        propMeshes.push(bench, backrest);
+    });
+
+    // Props are not chunk-owned, so they get their own collider set
+    removeColliders('urbanProps');
+    propMeshes.forEach(mesh => addColliderFromObject('urbanProps', mesh));
+}
+
+// Create a simple test cube to verify 3D loading works
+function createTestCube() {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const material = new THREE.MeshStandardMaterial({ color: 0x00ff00 });
+    const cube = new THREE.Mesh(geometry, material);
+    cube.position.set(0, 0.5, 0);
+    cube.castShadow = true;
+    cube.receiveShadow = true;
+    scene.add(cube);
+    console.log('Test cube created successfully');
+}
+
+// Load a locomotion clip only (extract animation data without model) from an animation-only
+// GLB: walk.glb, or one of LOCOMOTION_CLIP_FILES
+function loadAnimationOnly(name, path) {
+    console.log(`🔄 Loading ${name} animation data ONLY from ${path}...`);
+    console.log('⚠️ CRITICAL: This function will ONLY extract animations. NO models will be loaded.');
+
+    // Create a minimal loader that focuses only on animations
+    const animLoader = new THREE.GLTFLoader(loadingManager);
+    const draco2 = new THREE.DRACOLoader();
+    draco2.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
+    animLoader.setDRACOLoader(draco2);
+
+    // CRITICAL: Add cache-busting and allowlist enforcement
+    const timestamp = new Date().getTime();
+    const originalLoad = animLoader.load.bind(animLoader);
+    animLoader.load = function(url, onLoad, onProgress, onError) {
+        if (isForbiddenGLB(url) || !isApprovedGLB(url)) {
+            console.warn('Blocked non-approved GLB load attempt');
+            if (onError) onError(new Error('Non-approved GLB blocked'));
+            return;
+        }
+        const cacheBustedUrl = url + '?cache=' + timestamp;
+        return originalLoad(cacheBustedUrl, onLoad, onProgress, onError);
+    };
+
+    console.log('🎯 Starting animation-only load from:', path);
+
+    animLoader.load(
+        path,
+        function(animGltf) {
+            console.log('📦 Animation GLB loaded - IMMEDIATELY checking for scene data to destroy...');
+
+            // IMMEDIATE: Check if there's any scene data and destroy it BEFORE processing animations
+            if (animGltf.scene) {
+                console.log(`🚨 DANGER: Found scene data in ${path} - DESTROYING IMMEDIATELY to ensure animations-only load`);
+                animGltf.scene.traverse(function(node) {
+                    if (node.geometry) {
+                        node.geometry.dispose();
+                        console.log('💀 Destroyed geometry:', node.name || 'unnamed');
+                    }
+                    if (node.material) {
+                        if (Array.isArray(node.material)) {
+                            node.material.forEach(m => m.dispose());
+                        } else {
+                            node.material.dispose();
+                        }
+                        console.log('💀 Destroyed material:', node.name || 'unnamed');
+                    }
+                });
+                // Extra safety: purge by name patterns
+                purgeForbiddenNodes(animGltf.scene);
+                console.log(`✅ SUCCESS: All scene data from ${path} DESTROYED - no models loaded!`);
+            } else {
+                console.log(`✅ No scene data found in ${path} - safe to proceed`);
+            }
+
+            // NOW process animations after ensuring no model data exists
+            if (animGltf.animations && animGltf.animations.length > 0) {
+                try {
+                    const pattern = new RegExp(name, 'i');
+                    const clip = animGltf.animations.find(c => pattern.test(c.name)) || animGltf.animations[0];
+                    registerLocomotionClip(name, clip);
+                    console.log(`🎬 SUCCESS: ${name} animation extracted and ready (no models loaded)`);
+                } catch (e) {
+                    console.warn(`❌ Failed to setup ${name} animation:`, e);
+                }
+            } else {
+                console.warn(`❌ No animations found in ${path}`);
+            }
+
+            // Final cleanup - ensure no references remain
+            if (animGltf.scene) {
+                animGltf.scene = null;
+            }
+            console.log(`🛡️ PROTECTION: All ${path} model data eliminated - only animations remain`);
+        },
+        undefined,
+        function(err) {
+            console.error(`❌ CRITICAL: Failed to load ${name} animation GLB:`, err);
+        }
+    );
+}
+
+// Load character model
+function loadCharacterModel() {
+    console.log('Loading standing_idle.glb model...');
+    document.querySelector('.loading-text').textContent = 'Loading standing_idle.glb...';
+    
+    // Show loading screen if hidden
+    loadingScreen.style.display = 'flex';
+    
+    // Create GLTF loader with strict controls
+    const loader = new THREE.GLTFLoader(loadingManager);
+    // Also harden FileLoader to block at a lower level in three.js
+    if (THREE && THREE.FileLoader && !THREE.FileLoader.prototype.__covHardened) {
+        const originalFileLoaderLoad = THREE.FileLoader.prototype.load;
+        THREE.FileLoader.prototype.load = function(url, onLoad, onProgress, onError) {
+            try {
+                const s = typeof url === 'string' ? url : String(url);
+                if (s.toLowerCase().includes('.glb')) {
+                    if (isForbiddenGLB(s) || !isApprovedGLB(s)) {
+                        if (onError) onError(new Error('Non-approved GLB blocked'));
+                        return;
+                    }
+                }
+            } catch (e) {
+                // fallthrough
+            }
+            return originalFileLoaderLoad.call(this, url, onLoad, onProgress, onError);
+        };
+        THREE.FileLoader.prototype.__covHardened = true;
+    }
+
+    // CRITICAL: Ensure we only load standing_idle.glb, nothing else
+    const originalLoaderLoad = loader.load.bind(loader);
+    loader.load = function(url, onLoad, onProgress, onError) {
+        if (isForbiddenGLB(url) || !isApprovedGLB(url)) {
+            if (onError) onError(new Error('Non-approved GLB blocked'));
+            return;
+        }
+        return originalLoaderLoad(url, onLoad, onProgress, onError);
+    };
+    // Ensure high-quality texture sampling
+    loader.manager.onLoad = function() {
+        scene.traverse(function(node) {
+            if (node.isMesh) {
+                const mats = Array.isArray(node.material) ? node.material : [node.material];
+                mats.forEach(function(mat) {
+                    if (!mat) return;
+                    ['map','normalMap','metalnessMap','roughnessMap','emissiveMap','aoMap'].forEach(function(key) {
+                        const tex = mat[key];
+                        if (tex) {
+                            tex.anisotropy = Math.min(16, renderer.capabilities.getMaxAnisotropy?.() || 8);
+                            tex.minFilter = THREE.LinearMipmapLinearFilter;
+                            tex.magFilter = THREE.LinearFilter;
+                            tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+                            if ('colorSpace' in tex) tex.colorSpace = THREE.SRGBColorSpace;
+                            else tex.encoding = THREE.sRGBEncoding;
+                            tex.needsUpdate = true;
+                        }
+                    });
+                });
+            }
+        });
+    };
+    
+    // Optional: Set up Draco decoder for compressed models
+    const dracoLoader = new THREE.DRACOLoader();
+    dracoLoader.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
+    loader.setDRACOLoader(dracoLoader);
+    
+    // Update debug output
+    const debugOutput = document.querySelector('.debug-output');
+    if (debugOutput) {
+        debugOutput.innerHTML += 'Starting load...<br>';
+    }
+
+    // Note: Test cube removed - character should spawn in city center
+    
+    // Simplified loading - only load the specified model file
+    // Removed alternative loading logic to prevent loading wrong models
+    
+    // Function to handle loaded model with given scale
+    const handleLoadedModel = function(gltf, scale) {
+        console.log('Model loaded successfully!', gltf);
+        character = gltf.scene;
+        // Ensure no forbidden remnants exist in the loaded model
+        purgeForbiddenNodes(character);
+
+        // Log model details and ensure we're using the correct model
+        console.log('Model structure:', gltf);
+        console.log('CONFIRMED: Using standing_idle.glb as the only character model');
+        
+        // Ensure model is properly scaled and positioned - much larger scale
+        character.scale.set(scale * 100, scale * 100, scale * 100);
+
+        // Log the model name to verify which model is actually loading
+        console.log('Loaded model file:', MODEL_PATH);
+        
+        // Position the model properly on the ground and center it
+        character.position.set(0, 0.1, 0); // Slight lift to avoid z-fighting with ground
+        character.rotation.y = 0; // Face forward initially
+        console.log('Character positioned at center:', character.position);
+        console.log('Character scale:', character.scale);
+        
+    // Ensure model receives and casts shadows, and texture quality is high
+        character.traverse(function(node) {
+            if (node.isMesh) {
+                console.log('Found mesh:', node.name, 'Material color:', node.material?.color);
+
+                // Hide any green cube/box that might be part of the model
+                if (node.material && node.material.color &&
+                    node.material.color.r > 0.8 && node.material.color.g > 0.8 && node.material.color.b < 0.1) {
+                    console.log('Hiding green cube mesh:', node.name);
+                    node.visible = false;
+                    return; // Skip shadow settings for hidden meshes
+                }
+
+                node.castShadow = true;
+                node.receiveShadow = true;
+                
+                // Log material details
+                if (node.material) {
+                    console.log('Material:', node.material);
+                    // Make materials more visible
+                    node.material.metalness = 0.3;
+                    node.material.roughness = 0.7;
+                    
+                    // Ensure textures are properly set
+                    if (node.material.map) {
+                    if ('colorSpace' in node.material.map) node.material.map.colorSpace = THREE.SRGBColorSpace;
+                    else node.material.map.encoding = THREE.sRGBEncoding;
+                    node.material.map.anisotropy = Math.min(16, renderer.capabilities.getMaxAnisotropy?.() || 8);
+                    node.material.map.minFilter = THREE.LinearMipmapLinearFilter;
+                    node.material.map.magFilter = THREE.LinearFilter;
+                    }
+                }
+            }
+        });
+        
+        scene.add(character);
+        lobbyGroup.add(character); // keep character visible in lobby
+        updateLoadoutPreview();
+
+        // Prepare animation: only play when moving (W/A/S/D)
+        if (gltf.animations && gltf.animations.length > 0) {
+            try {
+                // Set up idle animation from standing_idle.glb only
+                const idleClip = gltf.animations.find(c => /idle|stand/i.test(c.name)) || gltf.animations[0];
+                registerLocomotionClip('idle', idleClip);
+                console.log('Prepared idle clip from standing_idle.glb:', idleClip.name);
+            } catch (e) {
+                console.warn('Failed to setup idle animation from standing_idle.glb:', e);
+            }
+        } else {
+            console.log('No animations found in standing_idle.glb - this is expected if using external animations.');
+        }
+
+        // Ensure character has a referenceable position object
+        if (!character.position) {
+            character.position = new THREE.Vector3(0, 0.1, 0);
+        }
+        
+        // Center camera on character with better framing
+        camera.position.set(
+            DEFAULT_CAMERA_POS.x,
+            DEFAULT_CAMERA_POS.y,
+            DEFAULT_CAMERA_POS.z
+        );
+        controls.target.set(0, 1, 0); // Look at character's center
+        controls.update();
+        
+        document.querySelector('.loading-text').textContent = 'Character loaded successfully!';
+        setTimeout(() => {
+            loadingScreen.style.display = 'none';
+        }, 1000);
+        
+        if (debugOutput) {
+            debugOutput.innerHTML += 'Model loaded successfully!<br>';
+        }
+    };
+    
+    // Load model with first attempt
+    loader.load(
+        MODEL_PATH,
+        function(gltf) {
+            handleLoadedModel(gltf, 0.02); // Increased initial scale
+
+            // Load walk (and any optional locomotion clips) for animation data only, not additional models
+            loadAnimationOnly('walk', WALK_ANIM_PATH);
+            Object.keys(LOCOMOTION_CLIP_FILES).forEach(name => loadAnimationOnly(name, LOCOMOTION_CLIP_FILES[name]));
+        },
+        function(xhr) {
+            // Loading progress
+            const percent = (xhr.loaded / xhr.total) * 100;
+            console.log('Loading progress:', Math.round(percent) + '%');
+            document.querySelector('.loading-text').textContent = 
+                `Loading Character: ${Math.round(percent)}%`;
+        },
+        function(error) {
+            console.error('Error loading model:', error);
+            console.error('Error details:', error);
+            document.querySelector('.loading-text').textContent =
+                'Failed to load standing_idle.glb. Check console for details.';
+
+            if (debugOutput) {
+                debugOutput.innerHTML += `Failed to load model: ${error.message}<br>`;
+            }
+        }
+    );
+}
+
+// Handle window resize
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+// Setup UI event listeners for the lobby interface
+function setupUIEvents() {
+    // Play button - load city environment
+    const playBtn = document.getElementById('play-btn');
+    const clickReadyPopup = document.getElementById('click-ready-popup');
+    let popupTimeout = null; // Variable to store timeout ID
+    
+    if (playBtn) {
+        playBtn.addEventListener('click', function() {
+            console.log('Play button clicked, player ready state:', playerReady);
+            
+            // Check if player is ready before proceeding
+            if (!playerReady) {
+                console.log('Player not ready, showing click-ready popup');
+                
+                // Play error sound
+                playErrorSound();
+                
+                // Remove any existing classes 
+                clickReadyPopup.classList.remove('fade-out');
+                
+                // Show the temporary "click ready" message with animation
+                clickReadyPopup.classList.add('show');
+                
+                // Clear any existing timeout
+                if (popupTimeout) {
+                    clearTimeout(popupTimeout);
+                }
+                
+                // Start fade-out animation after 1.5 seconds (total visible time will be 2 seconds)
+                popupTimeout = setTimeout(function() {
+                    // Add fade-out class
+                    clickReadyPopup.classList.add('fade-out');
+                    
+                    // Remove show class after fade-out animation completes
+                    setTimeout(function() {
+                        clickReadyPopup.classList.remove('show');
+                        popupTimeout = null; // Clear timeout ID after execution
+                    }, 500); // 0.5 seconds for fade-out
+                }, 1500); // 1.5 seconds before starting fade-out
+                
+                return; // Don't proceed with game loading
+            }
+            
+            console.log('Player ready, loading city environment');
+
+            // Pick the world seed before any chunk is generated
+            const seedInput = document.getElementById('seed-input');
+            worldSeed = parseWorldSeed(seedInput ? seedInput.value : '');
+            console.log('🌱 World seed:', worldSeed);
+            
+            // Show loading screen
+            loadingScreen.style.display = 'flex';
+            document.querySelector('.loading-text').textContent = 'Loading City Environment...';
+            const seedInfo = document.getElementById('seed-info');
+            if (seedInfo) seedInfo.textContent = `World seed: ${worldSeed}`;
+            
+            // Simulate loading time
+            setTimeout(function() {
+                // Create the city environment (chunked)
+                createCity();
+
+    // Position character on the sidewalk nearest the city center (keep visible)
+    if (character) {
+        const spawn = getSidewalkPoint(0, 0);
+        character.position.set(spawn.x, 0.1, spawn.z);
+        character.rotation.y = 0;
+        console.log('Character positioned at city center:', character.position);
+    }
+
+                // Set up third-person camera view (behind character, looking at world)
+                const thirdPersonDistance = cameraFollowDistance;
+                const thirdPersonHeight = cameraFollowHeight;
+                camera.position.set(
+                    character.position.x,
+                    character.position.y + thirdPersonHeight,
+                    character.position.z + thirdPersonDistance
+                );
+                controls.target.set(
+                    character.position.x,
+                    character.position.y + Math.max(1.0, cameraFollowHeight * 0.4),
+                    character.position.z
+                );
+                controls.update();
+
+                loadingScreen.style.display = 'none';
+                console.log('City environment loaded with character at center!');
+
+                const debugOutput = document.querySelector('.debug-output');
+                if (debugOutput) {
+                    debugOutput.innerHTML += 'City environment loaded with character at center!<br>';
+                }
+            }, 1200);
+        });
+    }
+    
+    // Ready button - toggle ready state
+    const readyBtn = document.getElementById('ready-btn');
+    if (readyBtn) {
+        readyBtn.addEventListener('click', function() {
+            // Ensure audio context is initialized (in case this is the first interaction)
+            initAudioContext();
+            
+            if (this.textContent === 'READY') {
+                this.textContent = 'NOT READY';
+                this.style.backgroundColor = 'rgba(60, 30, 30, 0.7)';
+                this.style.borderColor = '#822d2d';
+                this.style.color = '#822d2d';
+                playerReady = false; // Player is not ready
+                console.log('Player set to NOT READY');
+            } else {
+                this.textContent = 'READY';
+                this.style.backgroundColor = 'rgba(30, 60, 40, 0.7)';
+                this.style.borderColor = '#2d8259';
+                this.style.color = '#2d8259';
+                playerReady = true; // Player is ready
+                console.log('Player set to READY');
+                
+                // Hide the popup immediately if the user becomes ready
+                const clickReadyPopup = document.getElementById('click-ready-popup');
+                if (clickReadyPopup.classList.contains('show')) {
+                    clickReadyPopup.classList.add('fade-out');
+                    setTimeout(function() {
+                        clickReadyPopup.classList.remove('show');
+                    }, 500); // 0.5 seconds for fade-out
+                    
+                    if (popupTimeout) {
+                        clearTimeout(popupTimeout);
+                        popupTimeout = null;
+                    }
+                }
+            }
+        });
+    }
+
+    // Pause menu buttons
+    const resumeBtn = document.getElementById('resume-btn');
+    const backBtn = document.getElementById('back-to-lobby-btn');
+    const pauseMenu = document.getElementById('pause-menu');
+    const canvas = renderer ? renderer.domElement : null;
+    const storeBtn = document.getElementById('store-btn');
+    const storeModal = document.getElementById('store-modal');
+    const closeStoreBtn = document.getElementById('close-store-btn');
+
+    if (resumeBtn) {
+        resumeBtn.addEventListener('click', function() {
+            if (pauseMenu) pauseMenu.style.display = 'none';
+            isPaused = false;
+            canvas?.requestPointerLock?.();
+        });
+    }
+
+    if (backBtn) {
+        backBtn.addEventListener('click', function() {
+            returnToLobby();
+        });
+    }
+
+    // Lobby LOADOUT button opens the loadout panel beside the character preview
+    const loadoutBtn = document.getElementById('loadout-btn');
+    const loadoutPanel = document.getElementById('loadout-panel');
+    const closeLoadoutBtn = document.getElementById('close-loadout-btn');
+    const loadoutItems = document.getElementById('loadout-items');
+    if (loadoutBtn) {
+        loadoutBtn.addEventListener('click', function() {
+            renderLoadoutScreen();
+            if (loadoutPanel) loadoutPanel.style.display = 'block';
+        });
+    }
+    if (closeLoadoutBtn) {
+        closeLoadoutBtn.addEventListener('click', function() {
+            if (loadoutPanel) loadoutPanel.style.display = 'none';
+        });
+    }
+    if (loadoutItems) {
+        loadoutItems.addEventListener('click', function(e) {
+            const button = e.target.closest('.loadout-item');
+            if (!button) return;
+            const item = ITEMS[button.dataset.item];
+            if (!item || !item.slot) return;
+            equipItem(item.slot, inventory.loadout[item.slot] === button.dataset.item ? null : button.dataset.item);
+        });
+    }
+
+    // OPTIONS (lobby and pause menu): live settings, plus profile export / import / reset in the lobby
+    const optionsBtn = document.getElementById('options-btn');
+    const pauseOptionsBtn = document.getElementById('pause-options-btn');
+    const optionsModal = document.getElementById('options-modal');
+    const optionsSettings = document.getElementById('options-settings');
+    const closeOptionsBtn = document.getElementById('close-options-btn');
+    const profileMessage = document.getElementById('profile-message');
+    const importInput = document.getElementById('profile-import-input');
+    const setProfileMessage = text => { if (profileMessage) profileMessage.textContent = text; };
+    function openOptions() {
+        renderSettingsForm();
+        renderBindingsForm();
+        setProfileMessage('');
+        if (!optionsModal) return;
+        optionsModal.classList.toggle('in-game', isInGame);
+        optionsModal.style.display = 'flex';
+    }
+    optionsBtn?.addEventListener('click', openOptions);
+    pauseOptionsBtn?.addEventListener('click', openOptions);
+    if (optionsSettings) {
+        const onSettingInput = function(e) {
+            const key = e.target.dataset.setting;
+            if (!key) return;
+            setSetting(key, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            const value = e.target.parentElement.querySelector('.options-value');
+            if (value) value.textContent = formatSettingValue(key);
+        };
+        optionsSettings.addEventListener('input', onSettingInput);
+        optionsSettings.addEventListener('change', onSettingInput);
+    }
+    document.getElementById('settings-defaults-btn')?.addEventListener('click', function() {
+        applySettings(getDefaultSettings());
+        renderSettingsForm();
+    });
+
+    // Rebinding: click a binding, then press a key or mouse button. Esc cancels,
+    // Backspace / Delete clears the slot. A key used elsewhere asks before swapping.
+    const optionsBindings = document.getElementById('options-bindings');
+    const bindingsMessage = document.getElementById('bindings-message');
+    let bindingCapture = null; // { action, index }
+    function finishBindingCapture(code) {
+        const { action, index } = bindingCapture;
+        bindingCapture = null;
+        if (code !== undefined) {
+            let result = rebindAction(action, index, code);
+            if (!result.ok && result.conflict) {
+                const other = INPUT_ACTIONS[result.conflict.action].label;
+                if (window.confirm(`${formatInputCode(code)} is already bound to ${other}. Swap bindings?`)) {
+                    result = rebindAction(action, index, code, { swap: true });
+                }
+            }
+            if (bindingsMessage) bindingsMessage.textContent = result.ok ? '' : 'Binding unchanged';
+        }
+        renderBindingsForm();
+    }
+    if (optionsBindings) {
+        optionsBindings.addEventListener('click', function(e) {
+            const button = e.target.closest('.binding-btn');
+            if (!button || bindingCapture) return;
+            bindingCapture = { action: button.dataset.action, index: Number(button.dataset.index) };
+            button.textContent = 'Press a key…';
+            if (bindingsMessage) bindingsMessage.textContent = '';
+        });
+    }
+    // Capture phase so the key never reaches gameplay or the debug panel toggle
+    window.addEventListener('keydown', function(e) {
+        if (!bindingCapture) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.code === 'Escape') finishBindingCapture(undefined);
+        else if (e.code === 'Backspace' || e.code === 'Delete') finishBindingCapture(null);
+        else finishBindingCapture(e.code);
+    }, true);
+    window.addEventListener('mousedown', function(e) {
+        if (!bindingCapture) return;
+        e.preventDefault();
+        e.stopPropagation();
+        finishBindingCapture(`Mouse${e.button}`);
+    }, true);
+    document.getElementById('bindings-defaults-btn')?.addEventListener('click', function() {
+        resetInputBindings();
+        renderBindingsForm();
+    });
+    if (closeOptionsBtn) {
+        closeOptionsBtn.addEventListener('click', function() {
+            if (optionsModal) optionsModal.style.display = 'none';
+        });
+    }
+    document.getElementById('profile-export-btn')?.addEventListener('click', function() {
+        exportProfile();
+        setProfileMessage('Profile exported');
+    });
+    document.getElementById('profile-import-btn')?.addEventListener('click', () => importInput?.click());
+    if (importInput) {
+        importInput.addEventListener('change', function() {
+            const file = this.files && this.files[0];
+            this.value = '';
+            if (!file) return;
+            importProfile(file).then(function() {
+                setProfileMessage('Profile imported');
+            }).catch(function(e) {
+                console.warn('Profile import failed:', e);
+                playErrorSound();
+                setProfileMessage(`Import failed: ${e.message}`);
+            });
+        });
+    }
+    document.getElementById('profile-reset-btn')?.addEventListener('click', function() {
+        if (!window.confirm('Reset your profile? Coins, items, loadout, settings and stats will be lost.')) return;
+        resetProfile();
+        setProfileMessage('Profile reset');
+    });
+
+    // Lobby STORE button opens the catalog
+    const storeTabs = document.getElementById('store-tabs');
+    const storeItems = document.getElementById('store-items');
+    const storeMessage = document.getElementById('store-message');
+    if (storeBtn) {
+        storeBtn.addEventListener('click', function() {
+            renderStore();
+            if (storeMessage) storeMessage.textContent = '';
+            if (storeModal) storeModal.style.display = 'flex';
+        });
+    }
+    if (storeTabs) {
+        storeTabs.addEventListener('click', function(e) {
+            const tab = e.target.closest('.store-tab');
+            if (!tab) return;
+            storeCategory = tab.dataset.category;
+            renderStore();
+        });
+    }
+    if (storeItems) {
+        storeItems.addEventListener('click', function(e) {
+            const buy = e.target.closest('.store-buy');
+            if (!buy || buy.disabled) return;
+            const result = purchaseStoreItem(buy.dataset.entry);
+            if (!result.ok) playErrorSound();
+            if (storeMessage) {
+                const entry = STORE_CATALOG.find(x => x.id === buy.dataset.entry);
+                storeMessage.textContent = result.ok ? `Purchased ${ITEMS[entry.item].name}` : result.reason;
+            }
+        });
+    }
+    if (closeStoreBtn) {
+        closeStoreBtn.addEventListener('click', function() {
+            if (storeModal) storeModal.style.display = 'none';
+        });
+    }
+
+    // Crosshair only appears while aiming in game
+    updateCrosshair();
+}
+
+// Runtime protection against non-approved GLB loading
+function runtimeGLBProtection() {
+    // Monitor for any unauthorized GLB loading attempts
+    const originalFetch = window.fetch;
+    window.fetch = function(...args) {
+        const url = args[0];
+        const s = typeof url === 'string' ? url : String(url);
+        if (s.toLowerCase().includes('.glb')) {
+            if (isForbiddenGLB(s) || !isApprovedGLB(s)) {
+                console.error('🚨 RUNTIME BLOCK: Non-approved GLB load attempt blocked');
+                return Promise.reject(new Error('Non-approved GLB blocked'));
+            }
+        }
+        return originalFetch.apply(this, args);
+    };
+
+    // Also monitor XMLHttpRequest
+    const originalXMLHttpRequest = window.XMLHttpRequest;
+    window.XMLHttpRequest = function() {
+        const xhr = new originalXMLHttpRequest();
+        const originalOpen = xhr.open;
+        xhr.open = function(method, url) {
+            const s = typeof url === 'string' ? url : String(url);
+            if (s && s.toLowerCase().includes('.glb')) {
+                if (isForbiddenGLB(s) || !isApprovedGLB(s)) {
+                    console.error('🚨 RUNTIME BLOCK: Non-approved GLB XHR blocked');
+                    throw new Error('Non-approved GLB blocked');
+                }
+            }
+            return originalOpen.apply(this, arguments);
+        };
+        return xhr;
+    };
+
+    console.log('🛡️ Runtime protection active - only approved GLB files can be loaded');
+}
+
+// Update dev stats overlay in real-time
+function updateDevStats() {
+    // Overlay removed; keep function as no-op to avoid call site changes.
+}
+
+// Animation loop
+function animate() {
+    requestAnimationFrame(animate);
+
+    const delta = clock ? clock.getDelta() : 0.016;
+
+    // Advance any playing GLTF/FBX animations
+    if (mixer) {
+        try {
+            mixer.update(delta);
+        } catch (e) {
+            console.warn('Animation mixer update error:', e);
+        }
     }
 
-    // Note: Test cube removed - character should spawn in city center
+    // Gamepad drives gameplay and menu focus, so it is polled even while paused
+    pollGamepad(delta);
+
+    if (isPaused) {
+        // Still render the current frame so the pause menu overlays correctly
+        renderer.render(scene, camera);
+        return;
+    }
+
+    // Update movement only during gameplay
+    if (character && isInGame && !isPaused) {
+        updateCharacterMovement(delta);
+        updatePlayer(delta);
+        updateWeapon(delta);
+        updateTrafficSignals(delta);
+        updateTraffic(delta);
+        updateCrowd(delta);
+        updateWanted(delta);
+        updatePoliceFire(delta);
+        updateWeather(delta);
+        updateDayNight(delta);
+    }
+    if (pendingLobbyReturn) {
+        pendingLobbyReturn = false;
+        returnToLobby();
+    }
     
-    // Simplified loading - only load the specified model file
-    // Removed alternative loading logic to prevent loading wrong models
+    // Update controls
+    controls.update();
+    if (isInGame) updateChunkCulling();
     
-    // Function to handle loaded model with given scale
-    const handleLoadedModel = function(gltf, scale) {
-        console.log('Model loaded successfully!', gltf);
-        character = gltf.scene;
-        // Ensure no forbidden remnants exist in the loaded model
-        purgeForbiddenNodes(character);
+    // Dev stats removed
+    // updateDevStats();
+    
+    // Render scene
+    renderer.render(scene, camera);
+}
 
-        // Log model details and ensure we're using the correct model
-        console.log('Model structure:', gltf);
-        console.log('CONFIRMED: Using standing_idle.glb as the only character model');
-        
-        // Ensure model is properly scaled and positioned - much larger scale
-        character.scale.set(scale * 100, scale * 100, scale * 100);
+// Update character movement using camera-relative WASD (or a gamepad stick / touch joystick)
+function updateCharacterMovement(delta) {
+    if (!character) return;
+    // Dead: no input, the death camera owns the view until respawn
+    if (player.dead) {
+        character.visible = true; // the death camera backs away from the body
+        updateDeathCamera(delta);
+        return;
+    }
 
-        // Log the model name to verify which model is actually loading
-        console.log('Loaded model file:', MODEL_PATH);
-        
-        // Position the model properly on the ground and center it
-        character.position.set(0, 0.1, 0); // Slight lift to avoid z-fighting with ground
-        character.rotation.y = 0; // Face forward initially
-        console.log('Character positioned at center:', character.position);
-        console.log('Character scale:', character.scale);
-        
-    // Ensure model receives and casts shadows, and texture quality is high
-        character.traverse(function(node) {
-            if (node.isMesh) {
-                console.log('Found mesh:', node.name, 'Material color:', node.material?.color);
+    // Use a filtered yaw for movement to avoid micro jitter from tiny camera yaw changes
+    if (!Number.isFinite(movementYaw)) movementYaw = cameraYaw;
+    movementYaw = smoothAngleTowards(movementYaw, cameraYaw, 0.18);
+    const yaw = movementYaw;
+    const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+    // Compute right: for yaw=0, forward=(0,0,1), right should be (1,0,0)
+    // cross(up, forward) = cross((0,1,0), (0,0,1)) = (1*1 - 0*0, 0*0 - 0*1, 0*0 - 0*1) = (1, 0, 0)
+    const right = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), forward).normalize();
 
-                // Hide any green cube/box that might be part of the model
-                if (node.material && node.material.color &&
-                    node.material.color.r > 0.8 && node.material.color.g > 0.8 && node.material.color.b < 0.1) {
-                    console.log('Hiding green cube mesh:', node.name);
-                    node.visible = false;
-                    return; // Skip shadow settings for hidden meshes
-                }
+    let move = new THREE.Vector3(0, 0, 0);
+    if (isActionActive('moveForward')) {
+        move.add(forward); // Forward
+    }
+    if (isActionActive('moveBackward')) {
+        move.sub(forward); // Backward
+    }
+    // Strafe (flip A/D to match expected screen-relative feel)
+    if (isActionActive('moveLeft')) {
+        move.add(right);
+    }
+    if (isActionActive('moveRight')) {
+        move.sub(right);
+    }
 
-                node.castShadow = true;
-                node.receiveShadow = true;
-                
-                // Log material details
-                if (node.material) {
-                    console.log('Material:', node.material);
-                    // Make materials more visible
-                    node.material.metalness = 0.3;
-                    node.material.roughness = 0.7;
-                    
-                    // Ensure textures are properly set
-                    if (node.material.map) {
-                    if ('colorSpace' in node.material.map) node.material.map.colorSpace = THREE.SRGBColorSpace;
-                    else node.material.map.encoding = THREE.sRGBEncoding;
-                    node.material.map.anisotropy = Math.min(16, renderer.capabilities.getMaxAnisotropy?.() || 8);
-                    node.material.map.minFilter = THREE.LinearMipmapLinearFilter;
-                    node.material.map.magFilter = THREE.LinearFilter;
-                    }
-                }
+    // Keys move at full speed; without them the gamepad stick or touch joystick gives analog movement
+    let speed = MOVE_SPEED * (isActionActive('sprint') && isActionActive('moveForward') ? SPRINT_MULTIPLIER : 1);
+    const stick = getAnalogMove();
+    if (move.lengthSq() <= 1e-6 && (stick.x !== 0 || stick.y !== 0)) {
+        move.addScaledVector(forward, -stick.y).addScaledVector(right, -stick.x);
+        speed = getAnalogMoveSpeed(Math.min(1, Math.hypot(stick.x, stick.y)), isActionActive('sprint'));
+    }
+
+    const isMoving = move.lengthSq() > 1e-6;
+    const before = character.position.clone();
+    if (isMoving) {
+        move.normalize().multiplyScalar(speed * delta);
+        moveCharacterWithCollision(move);
+    }
+
+    // Handle rotation based on movement direction - only rotate when actively moving. While
+    // aiming, updateWeapon keeps the character facing the aim, so it strafes and backpedals.
+    if (isMoving && !weapon.aiming) {
+        const moveDir = move.clone().normalize();
+        const desiredYaw = Math.atan2(moveDir.x, moveDir.z);
+        character.rotation.y += angleDelta(character.rotation.y, desiredYaw) * Math.min(1, 12 * delta);
+    }
+    // When not moving, maintain current rotation (don't auto-rotate to forward)
+
+    updateVerticalMovement(delta);
+
+    // Animation follows what actually happened (walls stop the walk cycle too)
+    updateLocomotion(delta, character.position.clone().sub(before).divideScalar(delta || 1));
+
+    // Apply mouse-look yaw/pitch to define camera orbit behind the character
+    const followDistance = Math.max(CAMERA_DISTANCE_RANGE.min, Math.min(CAMERA_DISTANCE_RANGE.max, cameraFollowDistance));
+    const thirdPersonDistance = followDistance * (1 - AIM_ZOOM * weapon.aimBlend);
+    const thirdPersonHeight = cameraFollowHeight;
+    const baseYaw = cameraYaw;
+    const basePitch = cameraPitch; // apply pitch to orbit to look up/down
+    // Compute spherical offsets using yaw (around Y) and pitch (up/down)
+    const cosPitch = Math.cos(basePitch);
+    const sinPitch = Math.sin(basePitch);
+    const offsetX = Math.sin(baseYaw) * -thirdPersonDistance * cosPitch;
+    const offsetZ = Math.cos(baseYaw) * -thirdPersonDistance * cosPitch;
+    let offsetY = thirdPersonHeight + (thirdPersonDistance * sinPitch);
+    // Safety: never let the camera dip too low relative to character
+    const minY = MIN_CAMERA_ABOVE_CHARACTER;
+    if (offsetY < minY) offsetY = minY;
+    // Over-the-shoulder offset while aiming (screen right of the view direction)
+    const shoulder = new THREE.Vector3(-Math.cos(baseYaw), 0, Math.sin(baseYaw))
+        .multiplyScalar(AIM_SHOULDER_OFFSET * weapon.aimBlend);
+    const pivot = character.position.clone().add(new THREE.Vector3(0, Math.max(1.0, cameraFollowHeight * 0.4), 0));
+    const lookTarget = resolveCameraFocus(pivot, shoulder);
+    // The orbit follows the look-at point, so a shoulder offset cut short by a wall moves it too
+    const desiredCameraPos = new THREE.Vector3(
+        character.position.x + offsetX,
+        character.position.y + offsetY,
+        character.position.z + offsetZ
+    ).add(lookTarget).sub(pivot);
+    // Pull in short of walls. The look-at point is higher than MIN_CAMERA_ABOVE_CHARACTER, so
+    // a pulled-in camera on the line towards desiredCameraPos stays above that limit too.
+    const clearCameraPos = resolveCameraCollision(lookTarget, desiredCameraPos, delta);
+    // Framerate-independent unified smoothing for camera and target
+    const baseAlpha = isPointerLocked ? 0.22 : 0.16;
+    const alpha = 1 - Math.pow(1 - baseAlpha, Math.max(0.0001, delta) * 60);
+    camera.position.lerp(clearCameraPos, alpha);
+    // The smoothing lags behind; never let it carry the camera into a wall
+    clampCameraToClearance(lookTarget);
+    character.visible = camera.position.distanceTo(lookTarget) >= CAMERA_HIDE_CHARACTER_DISTANCE;
+    controls.target.lerp(lookTarget, alpha);
+    updateOccluderFading(lookTarget, camera.position, delta);
+
+    // Stream city chunks as the character moves (always keep character at center of chunks)
+    updateCityStreaming();
+}
+
+// Bind a clip to the player mixer under its LOCOMOTION_CLIPS name. Every locomotion action keeps
+// playing; updateLocomotion() only changes their weights and time scales.
+function registerLocomotionClip(name, clip) {
+    if (!mixer) mixer = new THREE.AnimationMixer(character);
+    const action = mixer.clipAction(clip);
+    action.loop = THREE.LoopRepeat;
+    action.clampWhenFinished = false;
+    action.enabled = true;
+    action.setEffectiveWeight(name === 'idle' && locomotion.state === 'idle' ? 1 : 0);
+    action.play();
+    locomotion.actions[name] = action;
+}
+
+// The loaded clip that plays for a LOCOMOTION_CLIPS name (following fallbacks), and whether
+// it runs backwards
+function resolveLocomotionClip(name) {
+    let reverse = false;
+    while (name && !locomotion.actions[name]) {
+        reverse = reverse !== Boolean(LOCOMOTION_CLIPS[name].reverse);
+        name = LOCOMOTION_CLIPS[name].fallback;
+    }
+    return name ? { name, reverse } : null;
+}
+
+// Move blend tree: 1D over speed between walk and run, inside a 2D blend over direction that
+// splits between the two nearest of ahead / left / back / right
+function blendLocomotionMove({ speed, direction }) {
+    const walkSpeed = LOCOMOTION_CLIPS.walk.speed;
+    const run = Math.max(0, Math.min(1, (speed - walkSpeed) / (LOCOMOTION_CLIPS.run.speed - walkSpeed)));
+    const sectors = [
+        [{ clip: 'walk', weight: 1 - run }, { clip: 'run', weight: run }],
+        [{ clip: 'strafeLeft', weight: 1 }],
+        [{ clip: 'walkBack', weight: 1 }],
+        [{ clip: 'strafeRight', weight: 1 }]
+    ];
+    const quarter = (((direction % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)) / (Math.PI / 2);
+    const index = Math.floor(quarter) % 4;
+    const t = quarter - Math.floor(quarter);
+    return [
+        ...sectors[index].map(node => ({ clip: node.clip, weight: node.weight * (1 - t) })),
+        ...sectors[(index + 1) % 4].map(node => ({ clip: node.clip, weight: node.weight * t }))
+    ];
+}
+
+// Advance the locomotion state machine from the character's actual ground velocity (after
+// collisions) and push the resulting clip weights and time scales to the mixer actions
+function updateLocomotion(delta, velocity) {
+    if (!character || delta <= 0) return;
+    const yaw = character.rotation.y;
+    const rawTurnRate = locomotion.lastYaw === null ? 0 : angleDelta(locomotion.lastYaw, yaw) / delta;
+    locomotion.lastYaw = yaw;
+    locomotion.turnRate += (rawTurnRate - locomotion.turnRate) * Math.min(1, delta * 10);
+    const speed = Math.hypot(velocity.x, velocity.z);
+    const params = {
+        speed,
+        direction: speed > 0.01 ? angleDelta(yaw, Math.atan2(velocity.x, velocity.z)) : 0,
+        turnRate: locomotion.turnRate,
+        grounded: player.grounded,
+        verticalSpeed: player.verticalVelocity,
+        airTime: player.airTime,
+        landing: player.landTimer > 0
+    };
+
+    const transition = LOCOMOTION_TRANSITIONS.find(t => [].concat(t.from).includes(locomotion.state) && t.when(params));
+    if (transition) {
+        locomotion.state = transition.to;
+        locomotion.fade = transition.fade;
+    }
+    const step = delta / Math.max(0.001, locomotion.fade);
+    Object.keys(LOCOMOTION_STATES).forEach(function(state) {
+        const current = locomotion.stateWeights[state] || 0;
+        locomotion.stateWeights[state] = state === locomotion.state ? Math.min(1, current + step) : Math.max(0, current - step);
+    });
+
+    // Sum each state's blend tree into loaded clips; a clip shared through fallbacks takes the
+    // time scale of its heaviest node
+    const clips = {};
+    let total = 0;
+    Object.keys(LOCOMOTION_STATES).forEach(function(state) {
+        const stateWeight = locomotion.stateWeights[state];
+        if (stateWeight <= 0) return;
+        LOCOMOTION_STATES[state].blend(params).forEach(function(node) {
+            const weight = node.weight * stateWeight;
+            const resolved = weight > 0 ? resolveLocomotionClip(node.clip) : null;
+            if (!resolved) return;
+            const authoredSpeed = LOCOMOTION_CLIPS[resolved.name].speed;
+            let timeScale = authoredSpeed > 0
+                ? Math.max(LOCOMOTION_TIME_SCALE.min, Math.min(LOCOMOTION_TIME_SCALE.max, speed / authoredSpeed))
+                : 1;
+            if (resolved.reverse) timeScale = -timeScale;
+            const entry = clips[resolved.name] || (clips[resolved.name] = { weight: 0, top: 0, timeScale });
+            entry.weight += weight;
+            if (weight > entry.top) {
+                entry.top = weight;
+                entry.timeScale = timeScale;
             }
+            total += weight;
         });
-        
-        scene.add(character);
-        lobbyGroup.add(character); // keep character visible in lobby
+    });
 
-        // Prepare animation: only play when moving (W/A/S/D)
-        if (gltf.animations && gltf.animations.length > 0) {
-            try {
-                if (!mixer) mixer = new THREE.AnimationMixer(character);
-                // Set up idle animation from standing_idle.glb only
-                const idleClip = gltf.animations.find(c => /idle|stand/i.test(c.name)) || gltf.animations[0];
-                idleAction = mixer.clipAction(idleClip);
-                idleAction.clampWhenFinished = false;
-                idleAction.loop = THREE.LoopRepeat;
-                idleAction.enabled = true;
-                idleAction.play();
-                console.log('Prepared idle clip from standing_idle.glb:', idleClip.name);
-            } catch (e) {
-                console.warn('Failed to setup idle animation from standing_idle.glb:', e);
+    Object.keys(locomotion.actions).forEach(function(name) {
+        const action = locomotion.actions[name];
+        const entry = clips[name];
+        if (!action.isScheduled()) action.play();
+        action.setEffectiveWeight(entry && total > 0 ? entry.weight / total : 0);
+        if (entry) action.setEffectiveTimeScale(entry.timeScale);
+    });
+}
+
+// Snap straight to idle (lobby, respawn)
+function resetLocomotion() {
+    locomotion.state = 'idle';
+    locomotion.stateWeights = { idle: 1 };
+    locomotion.lastYaw = null;
+    locomotion.turnRate = 0;
+    Object.keys(locomotion.actions).forEach(function(name) {
+        const action = locomotion.actions[name];
+        action.reset().play();
+        action.setEffectiveTimeScale(1);
+        action.setEffectiveWeight(name === 'idle' ? 1 : 0);
+    });
+}
+
+// Sweep a sphere from origin along a unit direction against the collision volumes. Returns
+// how far it gets before touching one (maxDistance if nothing is in the way). Volumes the
+// sphere starts inside, and those with a footprint narrower than ignoreThinnerThan, are skipped.
+const sweepRay = new THREE.Ray();
+const sweepBox = new THREE.Box3();
+const sweepHit = new THREE.Vector3();
+function sphereCast(origin, direction, maxDistance, radius, ignoreThinnerThan = 0) {
+    let nearest = maxDistance;
+    const half = maxDistance / 2;
+    sweepRay.set(origin, direction);
+    queryColliders(origin.x + direction.x * half, origin.z + direction.z * half, half + radius).forEach(function(v) {
+        if (Math.max(v.maxX - v.minX, v.maxZ - v.minZ) < ignoreThinnerThan) return;
+        sweepBox.min.set(v.minX - radius, v.minY - radius, v.minZ - radius);
+        sweepBox.max.set(v.maxX + radius, v.maxY + radius, v.maxZ + radius);
+        if (sweepBox.containsPoint(origin) || !sweepRay.intersectBox(sweepBox, sweepHit)) return;
+        // Stop a hair short of contact so a sweep starting from the result doesn't begin inside
+        nearest = Math.min(nearest, Math.max(0, sweepHit.distanceTo(origin) - 0.01));
+    });
+    return nearest;
+}
+
+function getCameraThinOccluderSize() {
+    return settings.fadeOccluders ? CAMERA_THIN_OCCLUDER_SIZE : 0;
+}
+
+// How far a sphere gets from origin toward target; returns the reachable point
+function sweepCameraSegment(origin, target) {
+    const offset = target.clone().sub(origin);
+    const wanted = offset.length();
+    if (wanted < 1e-4) return target.clone();
+    const direction = offset.divideScalar(wanted);
+    const clear = sphereCast(origin, direction, wanted, CAMERA_COLLISION_RADIUS, getCameraThinOccluderSize());
+    return origin.clone().addScaledVector(direction, clear);
+}
+
+// Look-at point: the head pivot moved by the aim shoulder offset, but only as far as the
+// sweep allows, so aiming along a wall doesn't start the camera sweep inside it
+function resolveCameraFocus(pivot, shoulder) {
+    return sweepCameraSegment(pivot, pivot.clone().add(shoulder));
+}
+
+// Where the follow camera may go: desired, or pulled in along the line from the look-at point
+// (instantly when something is in the way, easing back out when it clears)
+function resolveCameraCollision(focus, desired, delta) {
+    const offset = desired.clone().sub(focus);
+    const wanted = offset.length();
+    if (wanted < 1e-4) return desired.clone();
+    const direction = offset.divideScalar(wanted);
+    const allowed = sphereCast(focus, direction, wanted, CAMERA_COLLISION_RADIUS, getCameraThinOccluderSize());
+    let distance = cameraCollision.distance === null ? allowed : cameraCollision.distance;
+    if (allowed < distance) distance = allowed;
+    else distance += (allowed - distance) * (1 - Math.exp(-CAMERA_EASE_OUT_SPEED * delta));
+    cameraCollision.distance = distance;
+    return focus.clone().addScaledVector(direction, distance);
+}
+
+// Move the (smoothed) camera back towards the look-at point if it ended up inside a volume
+function clampCameraToClearance(focus) {
+    camera.position.copy(sweepCameraSegment(focus, camera.position));
+}
+
+// Fade street-prop instances on the line of sight between the look-at point and the camera.
+// Props are instanced, so a faded instance is hidden and drawn by a transparent stand-in mesh
+// until it fades back in.
+const occluderRaycaster = new THREE.Raycaster();
+function updateOccluderFading(lookTarget, cameraPosition, delta) {
+    const blocking = new Set();
+    const toCamera = cameraPosition.clone().sub(lookTarget);
+    const distance = toCamera.length();
+    if (settings.fadeOccluders && distance > 1e-4) {
+        // Only the props of the chunks under the segment; instanced raycasts test every instance
+        const targets = [];
+        const chunkKeys = new Map(); // props group => chunk key
+        const a = worldToChunk(Math.min(lookTarget.x, cameraPosition.x), Math.min(lookTarget.z, cameraPosition.z));
+        const b = worldToChunk(Math.max(lookTarget.x, cameraPosition.x), Math.max(lookTarget.z, cameraPosition.z));
+        for (let cx = a.cx; cx <= b.cx; cx++) {
+            for (let cz = a.cz; cz <= b.cz; cz++) {
+                const chunkKey = `${cx},${cz}`;
+                const chunk = loadedChunks.get(chunkKey);
+                if (!chunk || chunk.userData.lod !== 'full') continue;
+                chunk.children.forEach(function(child) {
+                    if (child.name !== 'props') return;
+                    targets.push(child);
+                    chunkKeys.set(child, chunkKey);
+                });
             }
+        }
+        occluderRaycaster.set(lookTarget, toCamera.divideScalar(distance));
+        occluderRaycaster.far = distance;
+        occluderRaycaster.intersectObjects(targets, true).forEach(function(hit) {
+            const key = hit.object.userData.occluderKey ||
+                (hit.instanceId !== undefined ? fadeOccluder(hit.object, hit.instanceId, chunkKeys.get(hit.object.parent)) : null);
+            if (key) blocking.add(key);
+        });
+    }
+    const step = CAMERA_OCCLUDER_FADE_SPEED * delta;
+    cameraCollision.faded.forEach(function(entry, key) {
+        const material = entry.proxy.material;
+        if (blocking.has(key)) {
+            material.opacity = Math.max(CAMERA_OCCLUDER_OPACITY, material.opacity - step);
         } else {
-            console.log('No animations found in standing_idle.glb - this is expected if using external animations.');
+            material.opacity = Math.min(1, material.opacity + step);
+            if (material.opacity >= 1) restoreOccluder(key);
         }
+    });
+}
 
-        // Ensure character has a referenceable position object
-        if (!character.position) {
-            character.position = new THREE.Vector3(0, 0.1, 0);
-        }
-        
-        // Center camera on character with better framing
-        camera.position.set(
-            DEFAULT_CAMERA_POS.x,
-            DEFAULT_CAMERA_POS.y,
-            DEFAULT_CAMERA_POS.z
-        );
-        controls.target.set(0, 1, 0); // Look at character's center
-        controls.update();
-        
-        document.querySelector('.loading-text').textContent = 'Character loaded successfully!';
-        setTimeout(() => {
-            loadingScreen.style.display = 'none';
-        }, 1000);
-        
-        if (debugOutput) {
-            debugOutput.innerHTML += 'Model loaded successfully!<br>';
+// Swap one prop instance for a transparent stand-in; returns its fade key
+function fadeOccluder(mesh, instanceId, chunkKey) {
+    const key = `${mesh.uuid}:${instanceId}`;
+    if (cameraCollision.faded.has(key)) return key;
+    const matrix = new THREE.Matrix4();
+    mesh.getMatrixAt(instanceId, matrix);
+    const material = mesh.material.clone();
+    material.userData = {}; // the clone is ours to dispose, unlike the shared original
+    material.transparent = true;
+    material.depthWrite = false;
+    const proxy = new THREE.Mesh(mesh.geometry, material);
+    proxy.matrixAutoUpdate = false;
+    proxy.matrix.multiplyMatrices(mesh.matrix, matrix);
+    proxy.receiveShadow = mesh.receiveShadow;
+    proxy.userData.occluderKey = key;
+    mesh.parent.add(proxy);
+    proxy.matrixWorldNeedsUpdate = true;
+    proxy.updateMatrixWorld(); // so the next raycast already sees it
+    mesh.setMatrixAt(instanceId, new THREE.Matrix4().makeScale(0, 0, 0));
+    mesh.instanceMatrix.needsUpdate = true;
+    cameraCollision.faded.set(key, { mesh, instanceId, matrix, proxy, chunkKey });
+    return key;
+}
+
+function restoreOccluder(key) {
+    const entry = cameraCollision.faded.get(key);
+    if (!entry) return;
+    entry.mesh.setMatrixAt(entry.instanceId, entry.matrix);
+    entry.mesh.instanceMatrix.needsUpdate = true;
+    entry.proxy.parent?.remove(entry.proxy);
+    entry.proxy.material.dispose();
+    cameraCollision.faded.delete(key);
+}
+
+// Forget the fades inside an unloading chunk; its disposal takes the stand-ins with it
+function dropFadedOccluders(chunkKey) {
+    cameraCollision.faded.forEach(function(entry, key) {
+        if (entry.chunkKey === chunkKey) cameraCollision.faded.delete(key);
+    });
+}
+
+function restoreFadedOccluders() {
+    Array.from(cameraCollision.faded.keys()).forEach(restoreOccluder);
+}
+
+// Forget the pulled-in distance and bring faded props and the character back (teleports, lobby)
+function resetCameraCollision() {
+    cameraCollision.distance = null;
+    if (character) character.visible = true;
+    restoreFadedOccluders();
+}
+
+// Convert world position to chunk indices
+function worldToChunk(x, z) {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    return { cx, cz };
+}
+
+// Load/unload chunks around character
+function updateCityStreaming() {
+    const pos = character ? character.position : new THREE.Vector3(0, 0, 0);
+    const { cx, cz } = worldToChunk(pos.x, pos.z);
+
+    // Reduce logging to avoid frame hitches
+    // console.log(`Character at (${pos.x.toFixed(1)}, ${pos.z.toFixed(1)}), chunk (${cx}, ${cz})`);
+
+    if (cx !== lastChunkX || cz !== lastChunkZ || loadedChunks.size === 0) {
+        lastChunkX = cx; lastChunkZ = cz;
+        scheduleChunkStreaming(cx, cz);
+    }
+
+    processChunkQueues(pos);
+}
+
+// Recompute the desired detail level of every chunk around (cx, cz) and queue the
+// loads, LOD swaps and unloads needed to get there
+function scheduleChunkStreaming(cx, cz) {
+    const desired = new Map(); // key => { cx, cz, key, lod }
+    for (let x = cx - FAR_CHUNK_RADIUS; x <= cx + FAR_CHUNK_RADIUS; x++) {
+        for (let z = cz - FAR_CHUNK_RADIUS; z <= cz + FAR_CHUNK_RADIUS; z++) {
+            const key = `${x},${z}`;
+            const ring = Math.max(Math.abs(x - cx), Math.abs(z - cz));
+            const currentLod = loadedChunks.get(key)?.userData.lod;
+            let lod = ring <= settings.chunkRadius ? 'full' : 'far';
+            // Hysteresis: a full chunk keeps its detail one ring past the view distance
+            if (currentLod === 'full' && ring <= settings.chunkRadius + 1) lod = 'full';
+            desired.set(key, { cx: x, cz: z, key, lod });
+            // Walking back in cancels a pending unload
+            chunkUnloadQueue.delete(key);
         }
-    };
-    
-    // Load model with first attempt
-    loader.load(
-        MODEL_PATH,
-        function(gltf) {
-            handleLoadedModel(gltf, 0.02); // Increased initial scale
+    }
 
-            // Load walk animation only for animation data, not additional models
-            loadWalkAnimationOnly();
-        },
-        function(xhr) {
-            // Loading progress
-            const percent = (xhr.loaded / xhr.total) * 100;
-            console.log('Loading progress:', Math.round(percent) + '%');
-            document.querySelector('.loading-text').textContent = 
-                `Loading Character: ${Math.round(percent)}%`;
-        },
-        function(error) {
-            console.error('Error loading model:', error);
-            console.error('Error details:', error);
-            document.querySelector('.loading-text').textContent =
-                'Failed to load standing_idle.glb. Check console for details.';
+    // Queue everything that is missing or loaded at the wrong detail level;
+    // queued work that fell out of range is dropped with the old queue
+    chunkLoadQueue = Array.from(desired.values()).filter(item =>
+        loadedChunks.get(item.key)?.userData.lod !== item.lod);
 
-            if (debugOutput) {
-                debugOutput.innerHTML += `Failed to load model: ${error.message}<br>`;
-            }
+    for (const key of loadedChunks.keys()) {
+        const [x, z] = key.split(',').map(Number);
+        if (Math.max(Math.abs(x - cx), Math.abs(z - cz)) > FAR_UNLOAD_RADIUS) {
+            chunkUnloadQueue.add(key);
         }
-    );
+    }
+
+    // The chunk under the character is needed right now (e.g. after a teleport)
+    const ownKey = `${cx},${cz}`;
+    if (loadedChunks.get(ownKey)?.userData.lod !== 'full') {
+        chunkLoadQueue = chunkLoadQueue.filter(item => item.key !== ownKey);
+        loadCityChunk(cx, cz, 'full');
+    }
 }
 
-// Handle window resize
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Load priority: full detail before far silhouettes, then nearer chunks first and
+// chunks in front of the camera before those behind
+function chunkLoadPriority(item, pos) {
+    const dx = (item.cx + 0.5) * CHUNK_SIZE - pos.x;
+    const dz = (item.cz + 0.5) * CHUNK_SIZE - pos.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const ringOffset = item.lod === 'full' ? 0 : 100000;
+    if (dist < 1e-3) return ringOffset;
+    const facing = (Math.sin(cameraYaw) * dx + Math.cos(cameraYaw) * dz) / dist; // -1 behind .. 1 ahead
+    return ringOffset + dist * (1.25 - 0.5 * Math.max(0, facing));
 }
 
-// Setup UI event listeners for the lobby interface
-function setupUIEvents() {
-    // Play button - load city environment
-    const playBtn = document.getElementById('play-btn');
-    const clickReadyPopup = document.getElementById('click-ready-popup');
-    let popupTimeout = null; // Variable to store timeout ID
-    
-    if (playBtn) {
-        playBtn.addEventListener('click', function() {
-            console.log('Play button clicked, player ready state:', playerReady);
-            
-            // Check if player is ready before proceeding
-            if (!playerReady) {
-                console.log('Player not ready, showing click-ready popup');
-                
-                // Play error sound
-                playErrorSound();
-                
-                // Remove any existing classes 
-                clickReadyPopup.classList.remove('fade-out');
-                
-                // Show the temporary "click ready" message with animation
-                clickReadyPopup.classList.add('show');
-                
-                // Clear any existing timeout
-                if (popupTimeout) {
-                    clearTimeout(popupTimeout);
-                }
-                
-                // Start fade-out animation after 1.5 seconds (total visible time will be 2 seconds)
-                popupTimeout = setTimeout(function() {
-                    // Add fade-out class
-                    clickReadyPopup.classList.add('fade-out');
-                    
-                    // Remove show class after fade-out animation completes
-                    setTimeout(function() {
-                        clickReadyPopup.classList.remove('show');
-                        popupTimeout = null; // Clear timeout ID after execution
-                    }, 500); // 0.5 seconds for fade-out
-                }, 1500); // 1.5 seconds before starting fade-out
-                
-                return; // Don't proceed with game loading
-            }
-            
-            console.log('Player ready, loading city environment');
-            
-            // Show loading screen
-            loadingScreen.style.display = 'flex';
-            document.querySelector('.loading-text').textContent = 'Loading City Environment...';
-            
-            // Simulate loading time
-            setTimeout(function() {
-                // Create the city environment (chunked)
-                createCity();
+// Build queued chunks within the frame budget, then dispose a few stale ones
+function processChunkQueues(pos) {
+    if (chunkLoadQueue.length > 0) {
+        chunkLoadQueue.sort((a, b) => chunkLoadPriority(a, pos) - chunkLoadPriority(b, pos));
+        const start = performance.now();
+        do {
+            const item = chunkLoadQueue.shift();
+            if (loadedChunks.get(item.key)?.userData.lod !== item.lod) loadCityChunk(item.cx, item.cz, item.lod);
+        } while (chunkLoadQueue.length > 0 && performance.now() - start < CHUNK_BUILD_BUDGET_MS);
+    }
 
-    // Position character at city center (keep visible)
-    if (character) {
-        character.position.set(0, 0.1, 0);
-        character.rotation.y = 0;
-        console.log('Character positioned at city center:', character.position);
+    let unloads = 0;
+    for (const key of Array.from(chunkUnloadQueue)) {
+        if (unloads >= CHUNK_UNLOADS_PER_FRAME) break;
+        chunkUnloadQueue.delete(key);
+        if (loadedChunks.has(key)) {
+            unloadCityChunk(key);
+            unloads++;
+        }
     }
 
-                // Set up third-person camera view (behind character, looking at world)
-                const thirdPersonDistance = cameraFollowDistance;
-                const thirdPersonHeight = cameraFollowHeight;
-                camera.position.set(
-                    character.position.x,
-                    character.position.y + thirdPersonHeight,
-                    character.position.z + thirdPersonDistance
-                );
-                controls.target.set(
-                    character.position.x,
-                    character.position.y + Math.max(1.0, cameraFollowHeight * 0.4),
-                    character.position.z
-                );
-                controls.update();
+    updateSkylineImpostor(pos);
+}
 
-                loadingScreen.style.display = 'none';
-                console.log('City environment loaded with character at center!');
+// Hide loaded chunks whose bounds are outside the camera's view
+const chunkFrustum = new THREE.Frustum();
+const chunkFrustumMatrix = new THREE.Matrix4();
+function updateChunkCulling() {
+    camera.updateMatrixWorld();
+    chunkFrustumMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    chunkFrustum.setFromProjectionMatrix(chunkFrustumMatrix);
+    loadedChunks.forEach(function(chunk) {
+        if (chunk.userData.bounds) chunk.visible = chunkFrustum.intersectsBox(chunk.userData.bounds);
+    });
+}
 
-                const debugOutput = document.querySelector('.debug-output');
-                if (debugOutput) {
-                    debugOutput.innerHTML += 'City environment loaded with character at center!<br>';
-                }
-            }, 1200);
-        });
-    }
-    
-    // Ready button - toggle ready state
-    const readyBtn = document.getElementById('ready-btn');
-    if (readyBtn) {
-        readyBtn.addEventListener('click', function() {
-            // Ensure audio context is initialized (in case this is the first interaction)
-            initAudioContext();
-            
-            if (this.textContent === 'READY') {
-                this.textContent = 'NOT READY';
-                this.style.backgroundColor = 'rgba(60, 30, 30, 0.7)';
-                this.style.borderColor = '#822d2d';
-                this.style.color = '#822d2d';
-                playerReady = false; // Player is not ready
-                console.log('Player set to NOT READY');
-            } else {
-                this.textContent = 'READY';
-                this.style.backgroundColor = 'rgba(30, 60, 40, 0.7)';
-                this.style.borderColor = '#2d8259';
-                this.style.color = '#2d8259';
-                playerReady = true; // Player is ready
-                console.log('Player set to READY');
-                
-                // Hide the popup immediately if the user becomes ready
-                const clickReadyPopup = document.getElementById('click-ready-popup');
-                if (clickReadyPopup.classList.contains('show')) {
-                    clickReadyPopup.classList.add('fade-out');
-                    setTimeout(function() {
-                        clickReadyPopup.classList.remove('show');
-                    }, 500); // 0.5 seconds for fade-out
-                    
-                    if (popupTimeout) {
-                        clearTimeout(popupTimeout);
-                        popupTimeout = null;
-                    }
-                }
-            }
-        });
+function resetChunkQueues() {
+    chunkLoadQueue = [];
+    chunkUnloadQueue.clear();
+}
+
+// Build a chunk at the given detail level ('full' or 'far'), add it to the city and
+// register its blocking volumes. An already loaded chunk is swapped in the same frame.
+function loadCityChunk(cx, cz, lod = 'full') {
+    const key = `${cx},${cz}`;
+    if (loadedChunks.has(key)) unloadCityChunk(key);
+    const chunk = lod === 'full' ? buildCityChunk(cx, cz) : buildFarChunk(cx, cz);
+    chunk.userData.lod = lod;
+    loadedChunks.set(key, chunk);
+    cityGroup.add(chunk);
+    // Instanced buildings carry their boxes in userData; loose meshes opt in with blocksMovement
+    (chunk.userData.colliders || []).forEach(b => addColliderBox(key, b.min, b.max));
+    if (chunk.userData.signal) trafficSignals.set(key, chunk.userData.signal);
+    chunk.traverse(function(node) {
+        if (node.userData && node.userData.blocksMovement) addColliderFromObject(key, node);
+    });
+    return chunk;
+}
+
+// Dispose a chunk's resources and drop its blocking volumes
+function unloadCityChunk(key) {
+    const grp = loadedChunks.get(key);
+    if (grp) {
+        dropFadedOccluders(key);
+        disposeObjectTree(grp);
+        cityGroup.remove(grp);
     }
+    loadedChunks.delete(key);
+    trafficSignals.delete(key);
+    despawnVehiclesInChunk(key);
+    despawnPedestriansInChunk(key);
+    removeDecalsInChunk(key);
+    removeColliders(key);
+}
 
-    // Pause menu buttons
-    const resumeBtn = document.getElementById('resume-btn');
-    const backBtn = document.getElementById('back-to-lobby-btn');
-    const pauseMenu = document.getElementById('pause-menu');
-    const canvas = renderer ? renderer.domElement : null;
-    const storeBtn = document.getElementById('store-btn');
-    const storeModal = document.getElementById('store-modal');
-    const closeStoreBtn = document.getElementById('close-store-btn');
+// Register an axis-aligned blocking volume for an object under the given owner key
+function addColliderFromObject(ownerKey, object) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return null;
+    return addColliderBox(ownerKey, box.min, box.max);
+}
 
-    if (resumeBtn) {
-        resumeBtn.addEventListener('click', function() {
-            if (pauseMenu) pauseMenu.style.display = 'none';
-            isPaused = false;
-            canvas?.requestPointerLock?.();
-        });
+// Register a blocking volume from min/max corners ({x, y, z})
+function addColliderBox(ownerKey, min, max) {
+    const volume = {
+        owner: ownerKey,
+        minX: min.x, maxX: max.x,
+        minY: min.y, maxY: max.y,
+        minZ: min.z, maxZ: max.z,
+        cells: []
+    };
+    // Index the volume in every chunk cell its footprint touches
+    const a = worldToChunk(volume.minX, volume.minZ);
+    const b = worldToChunk(volume.maxX, volume.maxZ);
+    for (let x = a.cx; x <= b.cx; x++) {
+        for (let z = a.cz; z <= b.cz; z++) {
+            const cellKey = `${x},${z}`;
+            if (!colliderCells.has(cellKey)) colliderCells.set(cellKey, new Set());
+            colliderCells.get(cellKey).add(volume);
+            volume.cells.push(cellKey);
+        }
     }
+    if (!colliderOwners.has(ownerKey)) colliderOwners.set(ownerKey, []);
+    colliderOwners.get(ownerKey).push(volume);
+    return volume;
+}
 
-    if (backBtn) {
-        backBtn.addEventListener('click', function() {
-            returnToLobby();
+// Remove every volume registered under an owner key
+function removeColliders(ownerKey) {
+    const volumes = colliderOwners.get(ownerKey);
+    if (!volumes) return;
+    volumes.forEach(function(volume) {
+        volume.cells.forEach(function(cellKey) {
+            const cell = colliderCells.get(cellKey);
+            if (!cell) return;
+            cell.delete(volume);
+            if (cell.size === 0) colliderCells.delete(cellKey);
         });
+    });
+    colliderOwners.delete(ownerKey);
+}
+
+function clearColliders() {
+    colliderOwners.clear();
+    colliderCells.clear();
+}
+
+// Collect volumes whose cells overlap a circle on the ground plane
+function queryColliders(x, z, radius) {
+    const result = new Set();
+    const a = worldToChunk(x - radius, z - radius);
+    const b = worldToChunk(x + radius, z + radius);
+    for (let cx = a.cx; cx <= b.cx; cx++) {
+        for (let cz = a.cz; cz <= b.cz; cz++) {
+            const cell = colliderCells.get(`${cx},${cz}`);
+            if (cell) cell.forEach(v => result.add(v));
+        }
     }
+    return result;
+}
 
-    // Lobby STORE button opens gun showcase
-    if (storeBtn) {
-        storeBtn.addEventListener('click', function() {
-            if (storeModal) storeModal.style.display = 'flex';
+// Push a circle (x, z, radius) out of every overlapping volume. The push is along the
+// contact normal only, so the tangential part of the motion survives and the
+// character slides along walls instead of stopping dead. Volumes whose top is within
+// stepHeight of the feet don't block: the mover steps up onto them instead.
+function resolveCircleCollisions(position, radius, height, stepHeight = 0) {
+    const feetY = position.y;
+    const stepTop = feetY + Math.max(0.05, stepHeight);
+    for (let iteration = 0; iteration < 3; iteration++) {
+        let pushed = false;
+        queryColliders(position.x, position.z, radius).forEach(function(v) {
+            // Ignore volumes below the feet (or low enough to step onto) or above the head
+            if (v.maxY <= stepTop || v.minY >= feetY + height) return;
+            const nearestX = Math.max(v.minX, Math.min(position.x, v.maxX));
+            const nearestZ = Math.max(v.minZ, Math.min(position.z, v.maxZ));
+            let dx = position.x - nearestX;
+            let dz = position.z - nearestZ;
+            const distSq = dx * dx + dz * dz;
+            if (distSq >= radius * radius) return;
+            if (distSq > 1e-8) {
+                const dist = Math.sqrt(distSq);
+                position.x += (dx / dist) * (radius - dist);
+                position.z += (dz / dist) * (radius - dist);
+            } else {
+                // Centre is inside the box: exit through the closest face
+                const exits = [
+                    { d: position.x - v.minX, x: -1, z: 0 }, { d: v.maxX - position.x, x: 1, z: 0 },
+                    { d: position.z - v.minZ, x: 0, z: -1 }, { d: v.maxZ - position.z, x: 0, z: 1 }
+                ];
+                exits.sort((p, q) => p.d - q.d);
+                position.x += exits[0].x * (exits[0].d + radius);
+                position.z += exits[0].z * (exits[0].d + radius);
+            }
+            pushed = true;
         });
+        if (!pushed) break;
     }
-    if (closeStoreBtn) {
-        closeStoreBtn.addEventListener('click', function() {
-            if (storeModal) storeModal.style.display = 'none';
-        });
+}
+
+// Move the character by a world-space delta, sliding along blocking volumes.
+// Large steps are split so fast movement cannot tunnel through thin props.
+function moveCharacterWithCollision(move) {
+    const maxStep = CHARACTER_COLLISION_RADIUS * 0.5;
+    const steps = Math.max(1, Math.ceil(move.length() / maxStep));
+    const stepX = move.x / steps;
+    const stepZ = move.z / steps;
+    for (let i = 0; i < steps; i++) {
+        character.position.x += stepX;
+        character.position.z += stepZ;
+        resolveCircleCollisions(character.position, CHARACTER_COLLISION_RADIUS, CHARACTER_COLLISION_HEIGHT, player.grounded ? STEP_HEIGHT : 0);
     }
+}
 
-    // Hide crosshair permanently (user request)
-    const crosshair = document.getElementById('crosshair');
-    if (crosshair) crosshair.style.display = 'none';
+// Height of the walkable surface under (x, z): the first chunk mesh hit by a ray cast down
+// from fromY, so anything higher than that (a roof, an awning) is not the ground. Only the
+// full-detail chunks around the point are tested; without one the ground plane (y = 0) is used.
+function getGroundHeight(x, z, fromY) {
+    const targets = [];
+    const a = worldToChunk(x - CHARACTER_COLLISION_RADIUS, z - CHARACTER_COLLISION_RADIUS);
+    const b = worldToChunk(x + CHARACTER_COLLISION_RADIUS, z + CHARACTER_COLLISION_RADIUS);
+    for (let cx = a.cx; cx <= b.cx; cx++) {
+        for (let cz = a.cz; cz <= b.cz; cz++) {
+            const chunk = loadedChunks.get(`${cx},${cz}`);
+            if (chunk && chunk.userData.lod === 'full') targets.push(chunk);
+        }
+    }
+    if (targets.length === 0) return 0;
+    groundRaycaster.ray.origin.set(x, fromY, z);
+    groundRaycaster.ray.direction.set(0, -1, 0);
+    groundRaycaster.far = Math.max(1, fromY + 10);
+    const hit = groundRaycaster.intersectObjects(targets, true)[0];
+    return hit ? hit.point.y : 0;
 }
 
-// Runtime protection against non-approved GLB loading
-function runtimeGLBProtection() {
-    // Monitor for any unauthorized GLB loading attempts
-    const originalFetch = window.fetch;
-    window.fetch = function(...args) {
-        const url = args[0];
-        const s = typeof url === 'string' ? url : String(url);
-        if (s.toLowerCase().includes('.glb')) {
-            if (isForbiddenGLB(s) || !isApprovedGLB(s)) {
-                console.error('🚨 RUNTIME BLOCK: Non-approved GLB load attempt blocked');
-                return Promise.reject(new Error('Non-approved GLB blocked'));
-            }
+// Jumping, gravity and ground following. Grounded, the feet ease up steps and snap down small
+// drops; a bigger drop starts a fall (with coyote time to still jump). Airborne, gravity
+// applies until the feet reach the ground again.
+function updateVerticalMovement(delta) {
+    const position = character.position;
+    const previousY = position.y;
+    player.jumpBuffer = Math.max(0, player.jumpBuffer - delta);
+    player.landTimer = Math.max(0, player.landTimer - delta);
+
+    if (player.grounded) {
+        const ground = getGroundHeight(position.x, position.z, position.y + STEP_HEIGHT) + CHARACTER_GROUND_CLEARANCE;
+        if (ground < position.y - GROUND_SNAP_DISTANCE) {
+            player.grounded = false;
+            player.verticalVelocity = 0;
+            player.airTime = 0;
+            player.coyoteTimer = COYOTE_TIME;
+        } else {
+            position.y = ground > position.y ? Math.min(ground, position.y + STEP_UP_SPEED * delta) : ground;
         }
-        return originalFetch.apply(this, args);
-    };
+    }
 
-    // Also monitor XMLHttpRequest
-    const originalXMLHttpRequest = window.XMLHttpRequest;
-    window.XMLHttpRequest = function() {
-        const xhr = new originalXMLHttpRequest();
-        const originalOpen = xhr.open;
-        xhr.open = function(method, url) {
-            const s = typeof url === 'string' ? url : String(url);
-            if (s && s.toLowerCase().includes('.glb')) {
-                if (isForbiddenGLB(s) || !isApprovedGLB(s)) {
-                    console.error('🚨 RUNTIME BLOCK: Non-approved GLB XHR blocked');
-                    throw new Error('Non-approved GLB blocked');
-                }
-            }
-            return originalOpen.apply(this, arguments);
-        };
-        return xhr;
-    };
+    if (player.jumpBuffer > 0 && (player.grounded || player.coyoteTimer > 0)) {
+        player.grounded = false;
+        player.verticalVelocity = JUMP_SPEED;
+        player.airTime = 0;
+        player.coyoteTimer = 0;
+        player.jumpBuffer = 0;
+        gameEvents.emit('playerJumped', { position: position.clone() });
+    }
+
+    if (!player.grounded) {
+        player.airTime += delta;
+        player.coyoteTimer = Math.max(0, player.coyoteTimer - delta);
+        player.verticalVelocity = Math.max(-MAX_FALL_SPEED, player.verticalVelocity - GRAVITY * delta);
+        position.y += player.verticalVelocity * delta;
+        // Cast from the higher of the two heights so a fast fall can't pass through a surface
+        const ground = getGroundHeight(position.x, position.z, Math.max(previousY, position.y) + STEP_HEIGHT) + CHARACTER_GROUND_CLEARANCE;
+        if (player.verticalVelocity <= 0 && position.y <= ground) {
+            const impactSpeed = -player.verticalVelocity;
+            position.y = ground;
+            player.grounded = true;
+            player.verticalVelocity = 0;
+            player.landTimer = LANDING_RECOVERY;
+            gameEvents.emit('playerLanded', { speed: impactSpeed, airTime: player.airTime });
+        }
+    }
+}
 
-    console.log('🛡️ Runtime protection active - only approved GLB files can be loaded');
+// Parse the seed typed in the lobby. Numbers are used as-is, any other text is hashed,
+// and an empty field rolls a fresh random seed.
+function parseWorldSeed(value) {
+    const text = String(value == null ? '' : value).trim();
+    if (text === '') return Math.floor(Math.random() * 0x100000000) >>> 0;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    // FNV-1a string hash
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
 }
 
-// Update dev stats overlay in real-time
-function updateDevStats() {
-    // Overlay removed; keep function as no-op to avoid call site changes.
+// Mix the world seed with chunk coordinates into a well-distributed 32-bit seed
+function hashChunkSeed(seed, cx, cz) {
+    let h = (seed >>> 0) ^ Math.imul(cx | 0, 0x27d4eb2d) ^ Math.imul(cz | 0, 0x165667b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
 }
 
-// Animation loop
-function animate() {
-    requestAnimationFrame(animate);
+// Small, fast seeded PRNG (mulberry32). Returns a function yielding floats in [0, 1).
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-    const delta = clock ? clock.getDelta() : 0.016;
+// Deterministic random source for one chunk
+function createChunkRandom(cx, cz) {
+    return createSeededRandom(hashChunkSeed(worldSeed, cx, cz));
+}
 
-    // Advance any playing GLTF/FBX animations
-    if (mixer) {
-        try {
-            mixer.update(delta);
-        } catch (e) {
-            console.warn('Animation mixer update error:', e);
-        }
-    }
+// Class of a street line. axis 'ns' lines run along z at x = index * CHUNK_SIZE + CHUNK_SIZE / 2,
+// 'ew' lines run along x at z = index * CHUNK_SIZE + CHUNK_SIZE / 2.
+function getStreetClass(axis, index) {
+    const offset = hashChunkSeed(worldSeed, axis === 'ns' ? 1 : 2, 0x0a7e) % AVENUE_INTERVAL;
+    const isAvenue = (((index + offset) % AVENUE_INTERVAL) + AVENUE_INTERVAL) % AVENUE_INTERVAL === 0;
+    return isAvenue ? ROAD_CLASSES.avenue : ROAD_CLASSES.street;
+}
 
-    if (isPaused) {
-        // Still render the current frame so the pause menu overlays correctly
-        renderer.render(scene, camera);
-        return;
-    }
+// Half width of the paved road (curb to curb) of a road class
+function roadHalfWidth(roadClass) {
+    return roadClass.lanesPerDirection * roadClass.laneWidth;
+}
 
-    // Update movement only during gameplay
-    if (character && isInGame && !isPaused) {
-        updateCharacterMovement(delta);
-    }
-    
-    // Update controls
-    controls.update();
-    
-    // Dev stats removed
-    // updateDevStats();
-    
-    // Render scene
-    renderer.render(scene, camera);
+// Half width of road plus sidewalks (building line to building line)
+function streetHalfWidth(roadClass) {
+    return roadHalfWidth(roadClass) + roadClass.sidewalkWidth;
 }
 
-// Update character movement using camera-relative WASD
-function updateCharacterMovement(delta) {
-    if (!character) return;
+// World coordinate of a street line
+function streetLineCoord(index) {
+    return index * CHUNK_SIZE + CHUNK_SIZE / 2;
+}
 
-    // Use a filtered yaw for movement to avoid micro jitter from tiny camera yaw changes
-    if (!Number.isFinite(movementYaw)) movementYaw = cameraYaw;
-    movementYaw = smoothAngleTowards(movementYaw, cameraYaw, 0.18);
-    const yaw = movementYaw;
-    const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
-    // Compute right: for yaw=0, forward=(0,0,1), right should be (1,0,0)
-    // cross(up, forward) = cross((0,1,0), (0,0,1)) = (1*1 - 0*0, 0*0 - 0*1, 0*0 - 0*1) = (1, 0, 0)
-    const right = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), forward).normalize();
+// Index of the street line nearest to a world coordinate
+function nearestStreetIndex(coord) {
+    return Math.round((coord - CHUNK_SIZE / 2) / CHUNK_SIZE);
+}
 
-    let move = new THREE.Vector3(0, 0, 0);
-    if (keysPressed['w']) {
-        move.add(forward); // Forward
+// Intersection node of the road graph. Node (ix, iz) sits at the centre of chunk (ix, iz)
+// where north-south line ix meets east-west line iz.
+// type: 'avenue' (avenue x avenue), 'mixed' (avenue x street) or 'local' (street x street)
+function getRoadNode(ix, iz) {
+    const ns = getStreetClass('ns', ix);
+    const ew = getStreetClass('ew', iz);
+    const avenues = (ns === ROAD_CLASSES.avenue ? 1 : 0) + (ew === ROAD_CLASSES.avenue ? 1 : 0);
+    return {
+        id: `${ix},${iz}`,
+        ix, iz,
+        x: streetLineCoord(ix),
+        z: streetLineCoord(iz),
+        type: avenues === 2 ? 'avenue' : (avenues === 1 ? 'mixed' : 'local'),
+        ns, ew,
+        // Lattice neighbours along each street: +z, -z (same ns line), +x, -x (same ew line)
+        neighbors: [
+            { ix, iz: iz + 1, axis: 'ns', roadClass: ns },
+            { ix, iz: iz - 1, axis: 'ns', roadClass: ns },
+            { ix: ix + 1, iz, axis: 'ew', roadClass: ew },
+            { ix: ix - 1, iz, axis: 'ew', roadClass: ew }
+        ]
+    };
+}
+
+// Perpendicular offsets (inner lane first) of the lane centres for traffic heading in
+// direction +1 / -1 along a street axis. Traffic drives on the right.
+function getLaneOffsets(roadClass, axis, direction) {
+    // Right of +z is -x; right of +x is +z
+    const side = (axis === 'ns' ? -1 : 1) * (direction >= 0 ? 1 : -1);
+    const offsets = [];
+    for (let lane = 0; lane < roadClass.lanesPerDirection; lane++) {
+        offsets.push(side * (lane + 0.5) * roadClass.laneWidth);
     }
-    if (keysPressed['s']) {
-        move.sub(forward); // Backward
+    return offsets;
+}
+
+// What kind of road surface is at a world point. Returns null off-street, otherwise
+// { surface: 'intersection' | 'road' | 'sidewalk', axis, roadClass, node, offset } where
+// offset is the signed distance from the street's centreline.
+function roadAt(x, z) {
+    const ix = nearestStreetIndex(x);
+    const iz = nearestStreetIndex(z);
+    const node = getRoadNode(ix, iz);
+    const dx = x - node.x;
+    const dz = z - node.z;
+    const onNsRoad = Math.abs(dx) <= roadHalfWidth(node.ns);
+    const onEwRoad = Math.abs(dz) <= roadHalfWidth(node.ew);
+    if (onNsRoad && onEwRoad) {
+        return { surface: 'intersection', axis: null, roadClass: null, node, offset: 0 };
     }
-    // Strafe (flip A/D to match expected screen-relative feel)
-    if (keysPressed['a']) {
-        move.add(right);
+    if (onNsRoad) return { surface: 'road', axis: 'ns', roadClass: node.ns, node, offset: dx };
+    if (onEwRoad) return { surface: 'road', axis: 'ew', roadClass: node.ew, node, offset: dz };
+    // Sidewalk bands; at corners report the closer street
+    const nsWalk = Math.abs(dx) <= streetHalfWidth(node.ns);
+    const ewWalk = Math.abs(dz) <= streetHalfWidth(node.ew);
+    if (nsWalk && (!ewWalk || Math.abs(dx) - roadHalfWidth(node.ns) <= Math.abs(dz) - roadHalfWidth(node.ew))) {
+        return { surface: 'sidewalk', axis: 'ns', roadClass: node.ns, node, offset: dx };
     }
-    if (keysPressed['d']) {
-        move.sub(right);
+    if (ewWalk) return { surface: 'sidewalk', axis: 'ew', roadClass: node.ew, node, offset: dz };
+    return null;
+}
+
+// Closest point on any street centreline.
+// Returns { x, z, axis, roadClass, distance, node } where node is the nearest intersection.
+function nearestRoad(x, z) {
+    const ix = nearestStreetIndex(x);
+    const iz = nearestStreetIndex(z);
+    const lineX = streetLineCoord(ix);
+    const lineZ = streetLineCoord(iz);
+    const node = getRoadNode(ix, iz);
+    if (Math.abs(x - lineX) <= Math.abs(z - lineZ)) {
+        return { x: lineX, z, axis: 'ns', roadClass: node.ns, distance: Math.abs(x - lineX), node };
     }
+    return { x, z: lineZ, axis: 'ew', roadClass: node.ew, distance: Math.abs(z - lineZ), node };
+}
 
-    const isMoving = move.lengthSq() > 1e-6;
-    if (isMoving) {
-        const speed = MOVE_SPEED * (keysPressed['shift'] && keysPressed['w'] ? SPRINT_MULTIPLIER : 1);
-        move.normalize().multiplyScalar(speed * delta);
-        character.position.add(move);
-
-        // Ensure walk animation is playing when moving
-        if (walkAction && !isWalkingActive) {
-            if (idleAction && idleAction.isRunning()) {
-                idleAction.crossFadeTo(walkAction, 0.06, false);
-                walkAction.reset().play();
-            } else if (idleAction) {
-                idleAction.fadeOut(0.05);
-                walkAction.reset().fadeIn(0.05).play();
-            } else {
-                walkAction.reset().fadeIn(0.05).play();
+// Closest point on the middle of a sidewalk, on the near side of the nearest street
+function getSidewalkPoint(x, z) {
+    const road = nearestRoad(x, z);
+    const mid = roadHalfWidth(road.roadClass) + road.roadClass.sidewalkWidth / 2;
+    if (road.axis === 'ns') {
+        return { x: road.x + (x >= road.x ? mid : -mid), z, axis: 'ns', roadClass: road.roadClass };
+    }
+    return { x, z: road.z + (z >= road.z ? mid : -mid), axis: 'ew', roadClass: road.roadClass };
+}
+
+// Smooth seeded value noise in [0, 1) over continuous chunk coordinates
+function valueNoise2D(x, z, salt) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    const fx = x - x0;
+    const fz = z - z0;
+    const corner = (ix, iz) => hashChunkSeed(worldSeed ^ salt, ix, iz) / 4294967296;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sz = fz * fz * (3 - 2 * fz);
+    const top = corner(x0, z0) + (corner(x0 + 1, z0) - corner(x0, z0)) * sx;
+    const bottom = corner(x0, z0 + 1) + (corner(x0 + 1, z0 + 1) - corner(x0, z0 + 1)) * sx;
+    return top + (bottom - top) * sz;
+}
+
+// Water noise at a point in chunk units; below WATER_LEVEL is open water
+function waterNoise(chunkX, chunkZ) {
+    return valueNoise2D(chunkX / DISTRICT_NOISE_SCALE, chunkZ / DISTRICT_NOISE_SCALE, 0x3a7e);
+}
+
+// District of a chunk, from layered noise fields over chunk coordinates
+function getChunkDistrict(cx, cz) {
+    const x = (cx + 0.5) / DISTRICT_NOISE_SCALE;
+    const z = (cz + 0.5) / DISTRICT_NOISE_SCALE;
+    if (waterNoise(cx + 0.5, cz + 0.5) < WATER_LEVEL + 0.08) return DISTRICTS.waterfront;
+    const density = valueNoise2D(x, z, 0xde5e);
+    if (density > 0.66) return DISTRICTS.downtown;
+    const use = valueNoise2D(x, z, 0x05e0);
+    if (use > 0.68) return DISTRICTS.industrial;
+    if (use < 0.25) return DISTRICTS.park;
+    return DISTRICTS.residential;
+}
+
+// District at a world position (for gameplay and debug queries)
+function getDistrictAt(x, z) {
+    const { cx, cz } = worldToChunk(x, z);
+    return getChunkDistrict(cx, cz);
+}
+
+// Deterministic description of a chunk's content, shared by every detail level so
+// far silhouettes match the full-detail buildings they stand in for
+function generateChunkLayout(cx, cz) {
+    const originX = cx * CHUNK_SIZE;
+    const originZ = cz * CHUNK_SIZE;
+    // All randomness below must come from rng so the chunk is identical on every reload
+    const rng = createChunkRandom(cx, cz);
+    const groundKey = rng() > 0.5 ? 'groundA' : 'groundB'; // Slightly different colors for debugging
+    const node = getRoadNode(cx, cz);
+    const district = getChunkDistrict(cx, cz);
+
+    // One lot per quadrant between the chunk edge and the street's building line
+    const blockSize = 10; // larger buildings but spaced further from roads
+    const nsEdge = streetHalfWidth(node.ns);
+    const ewEdge = streetHalfWidth(node.ew);
+    const lots = [
+        { minX: originX, maxX: node.x - nsEdge, minZ: originZ, maxZ: node.z - ewEdge, frontX: 1, frontZ: 1 },
+        { minX: node.x + nsEdge, maxX: originX + CHUNK_SIZE, minZ: originZ, maxZ: node.z - ewEdge, frontX: -1, frontZ: 1 },
+        { minX: originX, maxX: node.x - nsEdge, minZ: node.z + ewEdge, maxZ: originZ + CHUNK_SIZE, frontX: 1, frontZ: -1 },
+        { minX: node.x + nsEdge, maxX: originX + CHUNK_SIZE, minZ: node.z + ewEdge, maxZ: originZ + CHUNK_SIZE, frontX: -1, frontZ: -1 },
+    ];
+
+    const buildings = [];
+    const lotFills = []; // { materialKey, x, z, w, d }
+    const props = [];    // { type, x, z, rotation }
+    const water = [];    // lot rects that are open water (blocking)
+    lots.forEach(function(lot) {
+        const centerX = (lot.minX + lot.maxX) / 2;
+        const centerZ = (lot.minZ + lot.maxZ) / 2;
+        const rect = { x: centerX, z: centerZ, w: lot.maxX - lot.minX, d: lot.maxZ - lot.minZ };
+        if (district === DISTRICTS.waterfront && waterNoise(centerX / CHUNK_SIZE, centerZ / CHUNK_SIZE) < WATER_LEVEL) {
+            water.push(rect);
+            lotFills.push(Object.assign({ materialKey: 'water' }, rect));
+            return;
+        }
+        if (!district.heightRange) {
+            // Park / plaza lot: planted ground with scattered lot props
+            lotFills.push(Object.assign({ materialKey: district.lotFill }, rect));
+            for (let i = 0; i < 3; i++) {
+                props.push({
+                    type: district.lotProps[Math.floor(rng() * district.lotProps.length)],
+                    x: lot.minX + 2 + rng() * (rect.w - 4),
+                    z: lot.minZ + 2 + rng() * (rect.d - 4),
+                    rotation: Math.floor(rng() * 4) * Math.PI / 2
+                });
             }
-            isWalkingActive = true;
-            console.log('Animation transition: idle -> walk (movement, using standing_idle.glb model)');
+            return;
         }
-    } else if (isWalkingActive) {
-        // When not moving, transition back to idle immediately without delay
-        if (walkAction) {
-            if (idleAction && walkAction.isRunning()) {
-                walkAction.crossFadeTo(idleAction, 0.06, false);
-                idleAction.reset().play();
-            } else {
-                walkAction.fadeOut(0.05);
-                walkAction.stop();
-                if (idleAction) idleAction.reset().fadeIn(0.05).play();
+        const spec = fitBuildingToLot(generateBuildingSpec(centerX, centerZ, blockSize, rng, district), lot);
+        buildings.push(spec);
+        // Yard props in the back corner when the building leaves room behind it
+        if (district.yardProps) {
+            const yardX = lot.frontX > 0 ? lot.minX + 1.5 : lot.maxX - 1.5;
+            const yardZ = lot.frontZ > 0 ? lot.minZ + 1.5 : lot.maxZ - 1.5;
+            const bounds = buildingSpecBounds(spec);
+            const clear = yardX < bounds.min.x - 1.5 || yardX > bounds.max.x + 1.5 ||
+                yardZ < bounds.min.z - 1.5 || yardZ > bounds.max.z + 1.5;
+            const type = district.yardProps[Math.floor(rng() * district.yardProps.length)];
+            if (clear && type !== 'container') {
+                props.push({ type, x: yardX, z: yardZ, rotation: 0 });
             }
-            isWalkingActive = false;
-            console.log('Animation transition: walk -> idle (no movement, using standing_idle.glb model)');
         }
-    }
+    });
 
-    // Handle rotation based on movement direction - only rotate when actively moving
-    if (isMoving) {
-        const moveDir = move.clone().normalize();
-        const desiredYaw = Math.atan2(moveDir.x, moveDir.z);
-        character.rotation.y += angleDelta(character.rotation.y, desiredYaw) * Math.min(1, 12 * delta);
-    }
-    // When not moving, maintain current rotation (don't auto-rotate to forward)
+    // Sidewalk furniture along the building side of the sidewalks
+    const nsProp = roadHalfWidth(node.ns) + node.ns.sidewalkWidth * 0.75;
+    const ewProp = roadHalfWidth(node.ew) + node.ew.sidewalkWidth * 0.75;
+    [-1, 1].forEach(function(side) {
+        [-1, 1].forEach(function(half) {
+            if (rng() < 0.55) {
+                const along = node.z + half * (ewEdge + 3 + rng() * 5);
+                props.push({ type: pickSidewalkProp(district, rng), x: node.x + side * nsProp, z: along, rotation: side > 0 ? -Math.PI / 2 : Math.PI / 2 });
+            }
+            if (rng() < 0.55) {
+                const along = node.x + half * (nsEdge + 3 + rng() * 5);
+                props.push({ type: pickSidewalkProp(district, rng), x: along, z: node.z + side * ewProp, rotation: side > 0 ? Math.PI : 0 });
+            }
+        });
+    });
 
-    // Apply mouse-look yaw/pitch to define camera orbit behind the character
-    const thirdPersonDistance = cameraFollowDistance;
-    const thirdPersonHeight = cameraFollowHeight;
-    const baseYaw = cameraYaw;
-    const basePitch = cameraPitch; // apply pitch to orbit to look up/down
-    // Compute spherical offsets using yaw (around Y) and pitch (up/down)
-    const cosPitch = Math.cos(basePitch);
-    const sinPitch = Math.sin(basePitch);
-    const offsetX = Math.sin(baseYaw) * -thirdPersonDistance * cosPitch;
-    const offsetZ = Math.cos(baseYaw) * -thirdPersonDistance * cosPitch;
-    let offsetY = thirdPersonHeight + (thirdPersonDistance * sinPitch);
-    // Safety: never let the camera dip too low relative to character
-    const minY = MIN_CAMERA_ABOVE_CHARACTER;
-    if (offsetY < minY) offsetY = minY;
-    const desiredCameraPos = new THREE.Vector3(
-        character.position.x + offsetX,
-        character.position.y + offsetY,
-        character.position.z + offsetZ
-    );
-    // Framerate-independent unified smoothing for camera and target
-    const baseAlpha = isPointerLocked ? 0.22 : 0.16;
-    const alpha = 1 - Math.pow(1 - baseAlpha, Math.max(0.0001, delta) * 60);
-    camera.position.lerp(desiredCameraPos, alpha);
-    controls.target.lerp(
-        character.position.clone().add(new THREE.Vector3(0, Math.max(1.0, cameraFollowHeight * 0.4), 0)),
-        alpha
-    );
+    // Street lamps at the curb, mid-block on alternating sides; arms reach over the road
+    const nsCurb = roadHalfWidth(node.ns) + 0.4;
+    const ewCurb = roadHalfWidth(node.ew) + 0.4;
+    const lamps = [
+        { x: node.x + nsCurb, z: node.z + 10, rotation: 0 },
+        { x: node.x - nsCurb, z: node.z - 10, rotation: Math.PI },
+        { x: node.x + 10, z: node.z - ewCurb, rotation: Math.PI / 2 },
+        { x: node.x - 10, z: node.z + ewCurb, rotation: -Math.PI / 2 }
+    ].map(function(lamp) {
+        // Light hangs at the end of the arm (local -x rotated into world space)
+        lamp.lightX = lamp.x - Math.cos(lamp.rotation) * 1.3;
+        lamp.lightZ = lamp.z + Math.sin(lamp.rotation) * 1.3;
+        return lamp;
+    });
 
-    // Stream city chunks as the character moves (always keep character at center of chunks)
-    updateCityStreaming();
+    // Signal poles on the far right corner of each approach (see createTrafficLights)
+    const signals = [
+        { axis: 'ns', sx: -1, sz: 1, rotation: Math.PI },      // northbound (+z) traffic
+        { axis: 'ns', sx: 1, sz: -1, rotation: 0 },            // southbound (-z)
+        { axis: 'ew', sx: 1, sz: 1, rotation: -Math.PI / 2 },  // eastbound (+x)
+        { axis: 'ew', sx: -1, sz: -1, rotation: Math.PI / 2 }  // westbound (-x)
+    ].map(signal => ({
+        type: 'signalPole', axis: signal.axis, rotation: signal.rotation,
+        x: node.x + signal.sx * nsCurb, z: node.z + signal.sz * ewCurb
+    }));
+
+    return { cx, cz, originX, originZ, groundKey, node, district, buildings, lotFills, props, water, lamps, signals };
 }
 
-// Convert world position to chunk indices
-function worldToChunk(x, z) {
-    const cx = Math.floor(x / CHUNK_SIZE);
-    const cz = Math.floor(z / CHUNK_SIZE);
-    return { cx, cz };
+// Sidewalk prop from a district's set; large props are kept off the narrow sidewalks
+function pickSidewalkProp(district, rng) {
+    const type = district.props[Math.floor(rng() * district.props.length)];
+    return type === 'newsStand' || type === 'container' ? 'planter' : type;
 }
 
-// Load/unload chunks around character
-function updateCityStreaming() {
-    const pos = character ? character.position : new THREE.Vector3(0, 0, 0);
-    const { cx, cz } = worldToChunk(pos.x, pos.z);
+// Shrink a building to its lot (leaving half-unit alleys) and push it onto the street frontage
+function fitBuildingToLot(spec, lot) {
+    const margin = 0.5;
+    spec.width = Math.min(spec.width, lot.maxX - lot.minX - margin * 2);
+    spec.depth = Math.min(spec.depth, lot.maxZ - lot.minZ - margin * 2);
+    spec.x = lot.frontX > 0 ? lot.maxX - margin - spec.width / 2 : lot.minX + margin + spec.width / 2;
+    spec.z = lot.frontZ > 0 ? lot.maxZ - margin - spec.depth / 2 : lot.minZ + margin + spec.depth / 2;
+    return spec;
+}
 
-    // Reduce logging to avoid frame hitches
-    // console.log(`Character at (${pos.x.toFixed(1)}, ${pos.z.toFixed(1)}), chunk (${cx}, ${cz})`);
+// Flat axis-aligned rectangles ({ x, z, w, d }: centre and size) batched into one
+// instanced draw call of a palette material, lying at height y
+function createFlatQuads(materialKey, rects, y) {
+    const geometry = getSharedGeometry('unitQuad', function() {
+        const quad = new THREE.PlaneGeometry(1, 1);
+        quad.rotateX(-Math.PI / 2);
+        return quad;
+    });
+    const mesh = createChunkInstancedMesh(geometry, getSharedMaterial(materialKey), Math.max(1, rects.length));
+    const matrix = new THREE.Matrix4();
+    rects.forEach(function(r, i) {
+        matrix.makeScale(r.w, 1, r.d);
+        matrix.setPosition(r.x, y, r.z);
+        mesh.setMatrixAt(i, matrix);
+    });
+    mesh.count = rects.length;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
 
-    if (cx === lastChunkX && cz === lastChunkZ && loadedChunks.size > 0) return;
-    lastChunkX = cx; lastChunkZ = cz;
+// Curb stones ({ x, z, w, d } footprints) as one instanced draw call of unit boxes
+function createCurbs(rects) {
+    const mesh = createChunkInstancedMesh(getUnitBoxGeometry(), getSharedMaterial('curb'), Math.max(1, rects.length));
+    const matrix = new THREE.Matrix4();
+    rects.forEach(function(r, i) {
+        matrix.makeScale(r.w, CURB.height, r.d);
+        matrix.setPosition(r.x, 0, r.z);
+        mesh.setMatrixAt(i, matrix);
+    });
+    mesh.count = rects.length;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
 
-    const needed = new Set();
-    for (let x = cx - CHUNK_RADIUS; x <= cx + CHUNK_RADIUS; x++) {
-        for (let z = cz - CHUNK_RADIUS; z <= cz + CHUNK_RADIUS; z++) {
-            needed.add(`${x},${z}`);
-            if (!loadedChunks.has(`${x},${z}`)) {
-                const chunk = buildCityChunk(x, z);
-                loadedChunks.set(`${x},${z}`, chunk);
-                cityGroup.add(chunk);
-            }
+// Road surface rectangles of a chunk: its north-south and east-west street
+function chunkRoadRects(layout) {
+    const { node, originX, originZ } = layout;
+    return [
+        { x: node.x, z: originZ + CHUNK_SIZE / 2, w: roadHalfWidth(node.ns) * 2, d: CHUNK_SIZE },
+        { x: originX + CHUNK_SIZE / 2, z: node.z, w: CHUNK_SIZE, d: roadHalfWidth(node.ew) * 2 }
+    ];
+}
+
+// Sidewalks, curbs, lane paint and crosswalks of a full-detail chunk
+function createChunkStreetDetail(layout) {
+    const group = new THREE.Group();
+    group.name = 'streetDetail';
+    const { node, originX, originZ } = layout;
+    const nsRoad = roadHalfWidth(node.ns);
+    const ewRoad = roadHalfWidth(node.ew);
+    const nsWalk = node.ns.sidewalkWidth;
+    const ewWalk = node.ew.sidewalkWidth;
+    const maxX = originX + CHUNK_SIZE;
+    const maxZ = originZ + CHUNK_SIZE;
+
+    // Sidewalks: an L along the two streets in every quadrant (the corner square belongs to the ns strip).
+    // Each leg gets a curb on its road side.
+    const sidewalks = [];
+    const curbs = [];
+    [-1, 1].forEach(function(sx) {
+        const walkX = node.x + sx * (nsRoad + nsWalk / 2);
+        const farX = sx < 0 ? originX : maxX;
+        [-1, 1].forEach(function(sz) {
+            const farZ = sz < 0 ? originZ : maxZ;
+            const nearZ = node.z + sz * ewRoad;
+            sidewalks.push({ x: walkX, z: (nearZ + farZ) / 2, w: nsWalk, d: Math.abs(farZ - nearZ) });
+            curbs.push({ x: node.x + sx * (nsRoad + CURB.width / 2), z: (nearZ + farZ) / 2, w: CURB.width, d: Math.abs(farZ - nearZ) });
+            const innerX = node.x + sx * (nsRoad + nsWalk);
+            sidewalks.push({
+                x: (innerX + farX) / 2, z: node.z + sz * (ewRoad + ewWalk / 2),
+                w: Math.abs(farX - innerX), d: ewWalk
+            });
+            const curbX = node.x + sx * nsRoad;
+            curbs.push({ x: (curbX + farX) / 2, z: node.z + sz * (ewRoad + CURB.width / 2), w: Math.abs(farX - curbX), d: CURB.width });
+        });
+    });
+    group.add(createFlatQuads('sidewalk', sidewalks, 0.015));
+    group.add(createCurbs(curbs));
+
+    // Lane paint. Dashes are aligned to world coordinates so they continue across chunk borders.
+    const yellow = [];
+    const white = [];
+    const crossingClearance = 3; // keep paint out of the intersection and crosswalk area
+    const dashesAlong = function(from, to, skipCenter, skipHalf, place) {
+        for (let c = Math.ceil((from - 1) / 4) * 4 + 1; c + 1 <= to; c += 4) {
+            if (c - 1 < from || Math.abs(c - skipCenter) < skipHalf) continue;
+            place(c);
         }
-    }
+    };
+    [['ns', node.ns, ewRoad], ['ew', node.ew, nsRoad]].forEach(function([axis, roadClass, crossHalf]) {
+        const skipHalf = crossHalf + crossingClearance;
+        const along = axis === 'ns'
+            ? (offset, c, len, w) => ({ x: node.x + offset, z: c, w, d: len })
+            : (offset, c, len, w) => ({ x: c, z: node.z + offset, w: len, d: w });
+        const from = axis === 'ns' ? originZ : originX;
+        const to = axis === 'ns' ? maxZ : maxX;
+        const center = axis === 'ns' ? node.z : node.x;
+        if (roadClass === ROAD_CLASSES.avenue) {
+            // Double solid yellow centreline, split around the intersection
+            [[from, center - skipHalf], [center + skipHalf, to]].forEach(function([a, b]) {
+                if (b <= a) return;
+                [-0.15, 0.15].forEach(o => yellow.push(along(o, (a + b) / 2, b - a, 0.12)));
+            });
+            // Dashed white lane dividers
+            [-roadClass.laneWidth, roadClass.laneWidth].forEach(function(o) {
+                dashesAlong(from, to, center, skipHalf, c => white.push(along(o, c, 2, 0.12)));
+            });
+        } else {
+            dashesAlong(from, to, center, skipHalf, c => yellow.push(along(0, c, 2, 0.12)));
+        }
+    });
 
-    // Unload chunks that are no longer needed
-    for (const key of Array.from(loadedChunks.keys())) {
-        if (!needed.has(key)) {
-            const grp = loadedChunks.get(key);
-            if (grp) {
-                grp.traverse(function(node) {
-                    if (node.geometry) node.geometry.dispose?.();
-                    if (node.material) {
-                        if (Array.isArray(node.material)) node.material.forEach(m => m.dispose?.());
-                        else node.material.dispose?.();
-                    }
-                });
-                cityGroup.remove(grp);
-            }
-            loadedChunks.delete(key);
+    // Crosswalks on every approach of avenue-grade intersections, stop bars at local ones
+    const zebraBand = function(axis, roadHalf, sideOffset) {
+        for (let o = -roadHalf + 0.4; o <= roadHalf - 0.4; o += 0.9) {
+            white.push(axis === 'ns'
+                ? { x: node.x + o, z: node.z + sideOffset, w: 0.45, d: 2 }
+                : { x: node.x + sideOffset, z: node.z + o, w: 2, d: 0.45 });
         }
-    }
+    };
+    [-1, 1].forEach(function(side) {
+        if (node.type === 'local') {
+            // Stop bar across the lanes entering the intersection from this side
+            const nsLane = getLaneOffsets(node.ns, 'ns', -side)[0];
+            const ewLane = getLaneOffsets(node.ew, 'ew', -side)[0];
+            white.push({ x: node.x + nsLane, z: node.z + side * (ewRoad + 0.6), w: node.ns.laneWidth * node.ns.lanesPerDirection, d: 0.3 });
+            white.push({ x: node.x + side * (nsRoad + 0.6), z: node.z + ewLane, w: 0.3, d: node.ew.laneWidth * node.ew.lanesPerDirection });
+        } else {
+            zebraBand('ns', nsRoad, side * (ewRoad + 1.3));
+            zebraBand('ew', ewRoad, side * (nsRoad + 1.3));
+        }
+    });
+
+    group.add(createFlatQuads('paintYellow', yellow, 0.02));
+    group.add(createFlatQuads('paintWhite', white, 0.02));
+    return group;
+}
+
+// InstancedMesh for chunk content. Instance matrices are world-space, so the mesh's own
+// bounds (the geometry at the origin) say nothing about where it draws: per-object culling
+// is off and updateChunkCulling() hides whole chunks instead.
+function createChunkInstancedMesh(geometry, material, count) {
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+    mesh.frustumCulled = false;
+    return mesh;
+}
+
+// World-space box around everything a chunk draws
+function getChunkBounds(layout) {
+    const top = layout.buildings.reduce((height, spec) => Math.max(height, spec.height), CHUNK_MIN_CULL_HEIGHT);
+    return new THREE.Box3(
+        new THREE.Vector3(layout.originX, 0, layout.originZ),
+        new THREE.Vector3(layout.originX + CHUNK_SIZE, top, layout.originZ + CHUNK_SIZE)
+    );
+}
+
+// Chunk ground plane shared by both detail levels
+function createChunkGround(layout) {
+    const ground = new THREE.Mesh(
+        getSharedGeometry('chunkGround', () => new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE)),
+        getSharedMaterial(layout.groundKey)
+    );
+    ground.rotation.x = -Math.PI / 2;
+    ground.position.set(layout.originX + CHUNK_SIZE / 2, 0, layout.originZ + CHUNK_SIZE / 2);
+    ground.receiveShadow = true;
+    return ground;
 }
 
 // Build a single chunk with local roads and buildings
 function buildCityChunk(cx, cz) {
     const group = new THREE.Group();
-    const originX = cx * CHUNK_SIZE;
-    const originZ = cz * CHUNK_SIZE;
+    const layout = generateChunkLayout(cx, cz);
+    const { originX, originZ } = layout;
+    group.name = `chunk_${cx}_${cz}`;
+    group.userData.bounds = getChunkBounds(layout);
 
     // console.log(`Building chunk at (${cx}, ${cz}) with origin (${originX.toFixed(1)}, ${originZ.toFixed(1)})`);
 
     // Ground for chunk - make sure it's positioned correctly
-    const groundGeometry = new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE);
-    const groundMaterial = new THREE.MeshStandardMaterial({
-        color: Math.random() > 0.5 ? 0x2c2c2c : 0x323232, // Slightly different colors for debugging
-        roughness: 0.95,
-        metalness: 0.05
-    });
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI / 2;
-    ground.position.set(originX + CHUNK_SIZE / 2, 0, originZ + CHUNK_SIZE / 2);
-    ground.receiveShadow = true;
-    group.add(ground);
+    group.add(createChunkGround(layout));
 
     // Add chunk boundary markers for debugging
-    const markerGeometry = new THREE.BoxGeometry(0.5, 0.1, 0.5);
-    const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    const marker = new THREE.Mesh(
+        getSharedGeometry('chunkMarker', () => new THREE.BoxGeometry(0.5, 0.1, 0.5)),
+        getSharedMaterial('marker')
+    );
     marker.position.set(originX + CHUNK_SIZE / 2, 0.05, originZ + CHUNK_SIZE / 2);
     group.add(marker);
 
-    // Simple cross roads within chunk
-    const roadMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.8 });
-    const hRoad = new THREE.Mesh(new THREE.PlaneGeometry(CHUNK_SIZE, 4), roadMaterial);
-    hRoad.rotation.x = -Math.PI / 2;
-    hRoad.position.set(originX + CHUNK_SIZE / 2, 0.01, originZ + CHUNK_SIZE / 2);
-    group.add(hRoad);
-    const vRoad = new THREE.Mesh(new THREE.PlaneGeometry(4, CHUNK_SIZE), roadMaterial);
-    vRoad.rotation.x = -Math.PI / 2;
-    vRoad.position.set(originX + CHUNK_SIZE / 2, 0.01, originZ + CHUNK_SIZE / 2);
-    group.add(vRoad);
-
-    // Buildings: place 4 around the cross
-    const blockSize = 10; // larger buildings but spaced further from roads
-    const placements = [
-        { x: originX + 8, z: originZ + 8 },
-        { x: originX + CHUNK_SIZE - 8, z: originZ + 8 },
-        { x: originX + 8, z: originZ + CHUNK_SIZE - 8 },
-        { x: originX + CHUNK_SIZE - 8, z: originZ + CHUNK_SIZE - 8 },
-    ];
-    placements.forEach(p => group.add(createBuildingMesh(p.x, p.z, blockSize)));
+    // Streets from the road network, continuous with neighbouring chunks
+    group.add(createFlatQuads('road', chunkRoadRects(layout), 0.01));
+    group.add(createChunkStreetDetail(layout));
+
+    // District lot surfaces (park grass, waterfront water) and furniture
+    if (layout.lotFills.length > 0) {
+        groupFlatQuadsByMaterial(layout.lotFills).forEach((rects, key) => group.add(createFlatQuads(key, rects, 0.012)));
+    }
+    if (layout.props.length > 0) group.add(createPropInstances(layout.props));
+    group.add(createStreetLights(layout.lamps));
+    group.userData.lamps = layout.lamps;
+    const trafficLights = createTrafficLights(layout);
+    group.add(trafficLights);
+    group.userData.signal = trafficLights.userData.signal;
+
+    if (layout.buildings.length > 0) group.add(createBuildingInstances(layout.buildings));
+    group.userData.district = layout.district.name;
+    group.userData.colliders = layout.buildings.map(buildingSpecBounds)
+        .concat(layout.props.map(propBounds).filter(Boolean))
+        .concat(layout.lamps.map(lamp => propBounds(Object.assign({ type: 'streetLamp' }, lamp))))
+        .concat(layout.signals.map(propBounds))
+        // Open water blocks walking
+        .concat(layout.water.map(r => ({
+            min: { x: r.x - r.w / 2, y: -1, z: r.z - r.d / 2 },
+            max: { x: r.x + r.w / 2, y: 3, z: r.z + r.d / 2 }
+        })));
 
     return group;
 }
 
-// Helper to create building mesh directly (to attach to chunk group)
-function createBuildingMesh(x, z, blockSize) {
-    const buildingHeight = Math.random() * 12 + 6;
-    const buildingWidth = blockSize * (0.6 + Math.random() * 0.4);
-    const buildingDepth = blockSize * (0.6 + Math.random() * 0.4);
+// Split { materialKey, ...rect } entries into per-material rect lists
+function groupFlatQuadsByMaterial(fills) {
+    const byMaterial = new Map();
+    fills.forEach(function(fill) {
+        if (!byMaterial.has(fill.materialKey)) byMaterial.set(fill.materialKey, []);
+        byMaterial.get(fill.materialKey).push(fill);
+    });
+    return byMaterial;
+}
+
+// Shared unit geometry for prop parts, all with their base at y = 0
+function getPropShapeGeometry(shape) {
+    if (shape === 'box') return getUnitBoxGeometry();
+    if (shape === 'cylinder') {
+        return getSharedGeometry('unitCylinder', function() {
+            const geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 8);
+            geometry.translate(0, 0.5, 0);
+            return geometry;
+        });
+    }
+    return getSharedGeometry('unitSphere', function() {
+        const geometry = new THREE.IcosahedronGeometry(0.5, 1);
+        geometry.translate(0, 0.5, 0);
+        return geometry;
+    });
+}
 
-    const buildingGeometry = new THREE.BoxGeometry(buildingWidth, buildingHeight, buildingDepth);
-    const materials = [
-        new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.8, metalness: 0.1 }),
-        new THREE.MeshStandardMaterial({ color: 0x8b4513, roughness: 0.7, metalness: 0.0 }),
-        new THREE.MeshStandardMaterial({ color: 0x708090, roughness: 0.6, metalness: 0.2 }),
-        new THREE.MeshStandardMaterial({ color: 0x2f4f4f, roughness: 0.9, metalness: 0.0 }),
-    ];
-    const buildingMaterial = materials[Math.floor(Math.random() * materials.length)];
-    const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
-    building.position.set(x, buildingHeight / 2, z);
-    building.castShadow = false;
-    building.receiveShadow = true;
-    return building;
+// Batch every part of every prop into one InstancedMesh per (shape, material)
+function createPropInstances(props) {
+    const group = new THREE.Group();
+    group.name = 'props';
+    const batches = new Map(); // 'shape|material' => [Matrix4]
+    const propMatrix = new THREE.Matrix4();
+    const partMatrix = new THREE.Matrix4();
+    props.forEach(function(prop) {
+        const type = PROP_TYPES[prop.type];
+        if (!type) return;
+        propMatrix.makeRotationY(prop.rotation || 0).setPosition(prop.x, 0, prop.z);
+        type.parts.forEach(function(part) {
+            partMatrix.makeScale(part.size.w, part.size.h, part.size.d);
+            partMatrix.setPosition(part.offset.x, part.offset.y, part.offset.z);
+            const key = `${part.shape}|${part.material}`;
+            if (!batches.has(key)) batches.set(key, []);
+            batches.get(key).push(new THREE.Matrix4().multiplyMatrices(propMatrix, partMatrix));
+        });
+    });
+    batches.forEach(function(matrices, key) {
+        const [shape, materialKey] = key.split('|');
+        const mesh = createChunkInstancedMesh(getPropShapeGeometry(shape), getSharedMaterial(materialKey), matrices.length);
+        matrices.forEach((m, i) => mesh.setMatrixAt(i, m));
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.castShadow = false;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+    });
+    return group;
+}
+
+// Blocking bounds of a prop (rotations are multiples of 90 degrees), or null if walk-through
+function propBounds(prop) {
+    const type = PROP_TYPES[prop.type];
+    if (!type || !type.footprint) return null;
+    const quarterTurns = Math.round((prop.rotation || 0) / (Math.PI / 2));
+    const swap = Math.abs(quarterTurns) % 2 === 1;
+    const halfW = (swap ? type.footprint.d : type.footprint.w) / 2;
+    const halfD = (swap ? type.footprint.w : type.footprint.d) / 2;
+    return {
+        min: { x: prop.x - halfW, y: 0, z: prop.z - halfD },
+        max: { x: prop.x + halfW, y: type.footprint.h, z: prop.z + halfD }
+    };
+}
+
+// Outer-ring chunk: ground plus every building merged into a single instanced draw
+// call with flat palette tints. No roads, props or colliders.
+function buildFarChunk(cx, cz) {
+    const group = new THREE.Group();
+    const layout = generateChunkLayout(cx, cz);
+    group.name = `farChunk_${cx}_${cz}`;
+    group.add(createChunkGround(layout));
+    group.add(createFlatQuads('road', chunkRoadRects(layout), 0.01));
+    if (layout.lotFills.length > 0) {
+        groupFlatQuadsByMaterial(layout.lotFills).forEach((rects, key) => group.add(createFlatQuads(key, rects, 0.012)));
+    }
+
+    group.userData.bounds = getChunkBounds(layout);
+
+    const specs = layout.buildings;
+    if (specs.length === 0) return group;
+    const mesh = createChunkInstancedMesh(getUnitBoxGeometry(), getSharedMaterial('silhouette'), specs.length);
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    specs.forEach(function(spec, i) {
+        matrix.makeScale(spec.width, spec.height, spec.depth);
+        matrix.setPosition(spec.x, 0, spec.z);
+        mesh.setMatrixAt(i, matrix);
+        mesh.setColorAt(i, color.setHex(CITY_PALETTE[spec.materialKey].color));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    mesh.castShadow = false;
+    mesh.receiveShadow = false;
+    group.add(mesh);
+    return group;
+}
+
+// Skyline impostor: an inward-facing cylinder textured with seeded building
+// silhouettes, kept centred on the player beyond the far ring
+function createSkylineImpostor() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2048;
+    canvas.height = 256;
+    const ctx = canvas.getContext('2d');
+    const rng = createSeededRandom(hashChunkSeed(worldSeed, 0x5ca1ab1e, 0));
+    if (ctx) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        // Two layers: a dim, tall back row and a darker front row
+        [{ shade: '#262629', min: 0.35, max: 0.95 }, { shade: '#1c1c1f', min: 0.2, max: 0.6 }].forEach(function(layer) {
+            ctx.fillStyle = layer.shade;
+            let x = 0;
+            while (x < canvas.width) {
+                const w = 12 + rng() * 40;
+                const h = canvas.height * (layer.min + rng() * (layer.max - layer.min));
+                ctx.fillRect(x, canvas.height - h, w + 1, h);
+                x += w;
+            }
+        });
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.repeat.set(3, 1);
+    const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        side: THREE.BackSide,
+        depthWrite: false,
+        fog: false
+    });
+    const geometry = new THREE.CylinderGeometry(SKYLINE_RADIUS, SKYLINE_RADIUS, SKYLINE_HEIGHT, 48, 1, true);
+    geometry.translate(0, SKYLINE_HEIGHT / 2, 0);
+    const skyline = new THREE.Mesh(geometry, material);
+    skyline.name = 'skylineImpostor';
+    skyline.renderOrder = -1;
+    skyline.frustumCulled = false;
+    return skyline;
+}
+
+// Keep the skyline centred on the player so it never gets closer
+function updateSkylineImpostor(pos) {
+    if (!skylineImpostor) return;
+    skylineImpostor.position.set(pos.x, 0, pos.z);
+}
+
+// Shared material from CITY_PALETTE, created once and never disposed by chunk unloads
+function getSharedMaterial(key) {
+    let material = materialCache.get(key);
+    if (!material) {
+        const def = CITY_PALETTE[key];
+        if (!def) throw new Error(`Unknown palette material: ${key}`);
+        if (def.basic) {
+            material = new THREE.MeshBasicMaterial({ color: def.color });
+        } else if (def.lambert) {
+            material = new THREE.MeshLambertMaterial({ color: def.color });
+        } else {
+            material = new THREE.MeshStandardMaterial({ color: def.color, roughness: def.roughness, metalness: def.metalness });
+            if (def.emissive !== undefined) {
+                material.emissive.setHex(def.emissive);
+                material.emissiveIntensity = 0;
+            }
+        }
+        if (def.windows) enableWindowGlow(material);
+        material.name = `palette_${key}`;
+        material.userData.shared = true;
+        materialCache.set(key, material);
+    }
+    return material;
+}
+
+// Patch a building material so its walls show a grid of lit windows at night. The pattern
+// comes from world position, so it works with instancing and arbitrary building sizes.
+function enableWindowGlow(material) {
+    material.customProgramCacheKey = () => 'covWindowGlow';
+    material.onBeforeCompile = function(shader) {
+        shader.uniforms.uWindowGlow = windowGlowUniform;
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vCovWorldPos;\nvarying vec3 vCovWorldNormal;')
+            .replace('#include <project_vertex>', [
+                '#include <project_vertex>',
+                'vec4 covWorldPos = vec4( transformed, 1.0 );',
+                'vec3 covNormal = objectNormal;',
+                '#ifdef USE_INSTANCING',
+                'covWorldPos = instanceMatrix * covWorldPos;',
+                'covNormal = mat3( instanceMatrix ) * covNormal;',
+                '#endif',
+                'vCovWorldPos = ( modelMatrix * covWorldPos ).xyz;',
+                'vCovWorldNormal = normalize( mat3( modelMatrix ) * covNormal );'
+            ].join('\n'));
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', '#include <common>\nuniform float uWindowGlow;\nvarying vec3 vCovWorldPos;\nvarying vec3 vCovWorldNormal;')
+            .replace('#include <emissivemap_fragment>', [
+                '#include <emissivemap_fragment>',
+                'if ( uWindowGlow > 0.0 ) {',
+                '    vec3 covN = normalize( vCovWorldNormal );',
+                '    float covWall = step( abs( covN.y ), 0.5 );',
+                '    vec2 covCell = abs( covN.x ) > 0.5 ? vCovWorldPos.zy : vCovWorldPos.xy;',
+                '    vec2 covGrid = covCell / vec2( 2.0, 3.0 );',
+                '    vec2 covF = fract( covGrid );',
+                '    float covPane = step( 0.25, covF.x ) * step( covF.x, 0.75 ) * step( 0.3, covF.y ) * step( covF.y, 0.75 );',
+                '    float covLit = step( 0.55, fract( sin( dot( floor( covGrid ), vec2( 12.9898, 78.233 ) ) ) * 43758.5453 ) );',
+                '    float covAboveStreet = step( 2.0, vCovWorldPos.y );',
+                '    totalEmissiveRadiance += vec3( 1.0, 0.85, 0.5 ) * covPane * covLit * covWall * covAboveStreet * uWindowGlow;',
+                '}'
+            ].join('\n'));
+    };
+}
+
+// Shared geometry created on first use by the given factory
+function getSharedGeometry(key, factory) {
+    let geometry = geometryCache.get(key);
+    if (!geometry) {
+        geometry = factory();
+        geometry.userData.shared = true;
+        geometryCache.set(key, geometry);
+    }
+    return geometry;
+}
+
+// Unit box with its base at y = 0, scaled per building instance
+function getUnitBoxGeometry() {
+    return getSharedGeometry('unitBox', function() {
+        const geometry = new THREE.BoxGeometry(1, 1, 1);
+        geometry.translate(0, 0.5, 0);
+        return geometry;
+    });
+}
+
+// Roll building dimensions and palette entry (rng: seeded random source of the owning chunk).
+// A district narrows height range, footprint fraction and palette; without one the
+// generic city rules apply.
+function generateBuildingSpec(x, z, blockSize, rng = Math.random, district = null) {
+    const heightRange = district && district.heightRange ? district.heightRange : [6, 18];
+    const footprint = district && district.footprint ? district.footprint : [0.6, 1.0];
+    const palette = district && district.materials.length ? district.materials : BUILDING_MATERIAL_KEYS;
+    const height = heightRange[0] + rng() * (heightRange[1] - heightRange[0]);
+    const width = blockSize * (footprint[0] + rng() * (footprint[1] - footprint[0]));
+    const depth = blockSize * (footprint[0] + rng() * (footprint[1] - footprint[0]));
+    const materialKey = palette[Math.floor(rng() * palette.length)];
+    return { x, z, width, height, depth, materialKey };
+}
+
+// World-space bounds of a building spec, in the shape addColliderBox() expects
+function buildingSpecBounds(spec) {
+    return {
+        min: { x: spec.x - spec.width / 2, y: 0, z: spec.z - spec.depth / 2 },
+        max: { x: spec.x + spec.width / 2, y: spec.height, z: spec.z + spec.depth / 2 }
+    };
+}
+
+// Batch building specs into one InstancedMesh per palette material (one draw call each)
+function createBuildingInstances(specs) {
+    const group = new THREE.Group();
+    group.name = 'buildings';
+    const byMaterial = new Map();
+    specs.forEach(spec => {
+        if (!byMaterial.has(spec.materialKey)) byMaterial.set(spec.materialKey, []);
+        byMaterial.get(spec.materialKey).push(spec);
+    });
+    const matrix = new THREE.Matrix4();
+    byMaterial.forEach(function(list, materialKey) {
+        const mesh = createChunkInstancedMesh(getUnitBoxGeometry(), getSharedMaterial(materialKey), list.length);
+        list.forEach(function(spec, i) {
+            matrix.makeScale(spec.width, spec.height, spec.depth);
+            matrix.setPosition(spec.x, 0, spec.z);
+            mesh.setMatrixAt(i, matrix);
+        });
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.castShadow = false;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+    });
+    return group;
 }
 
 // Initialize everything when page loads